@@ -0,0 +1,46 @@
+/**
+ * Vite plugin: precompute the console filesystem at build time
+ *
+ * Exposes `virtual:vfs-snapshot`, a module whose default export is the
+ * serialized VirtualFileSystem (file tree + search index) built from
+ * src/public/project-data.json and src/public/profile-data.json. The
+ * console hydrates from it instead of fetching data and rebuilding the
+ * tree on every open.
+ *
+ * Loaded through src/vite.config.js, so this file uses ES modules.
+ */
+
+import { readFile } from "fs/promises";
+import { resolve } from "path";
+import { VirtualFileSystem } from "../src/js/console/VirtualFileSystem.js";
+
+const VIRTUAL_ID = "virtual:vfs-snapshot";
+const RESOLVED_ID = "\0" + VIRTUAL_ID;
+
+export default function vfsSnapshot({ publicDir }) {
+  const projectDataPath = resolve(publicDir, "project-data.json");
+  const profileDataPath = resolve(publicDir, "profile-data.json");
+
+  return {
+    name: "vfs-snapshot",
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      // Rebuild the snapshot in dev when the data changes
+      this.addWatchFile(projectDataPath);
+      this.addWatchFile(profileDataPath);
+
+      const projectData = JSON.parse(await readFile(projectDataPath, "utf8"));
+      const profileData = JSON.parse(await readFile(profileDataPath, "utf8"));
+      const vfs = new VirtualFileSystem();
+      await vfs.initialize(projectData, { profileData });
+
+      return `export default ${JSON.stringify(vfs.toJSON())};`;
+    },
+  };
+}
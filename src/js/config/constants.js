@@ -2,8 +2,15 @@
  * Global Constants
  */
 export const CONSTANTS = {
+    NAME: 'RAHEEMUDHEEN MA',
+    ROLE: 'Full-Stack Engineer',
+    LOCATION: 'Kerala, India',
+    LAST_UPDATED: '2026-01',
     EMAIL: 'raheemudheen.ma@gmail.com',
     GITHUB_URL: 'https://github.com/raheemudheen-ma',
     LINKEDIN_URL: 'https://linkedin.com/in/raheemudheen-ma',
-    RESUME_URL: 'https://drive.google.com/file/d/1HFU1vArEgjjQ-5fuFnRYXTItDt9qdTM3/view?usp=drive_link'
+    RESUME_URL: 'https://drive.google.com/file/d/1HFU1vArEgjjQ-5fuFnRYXTItDt9qdTM3/view?usp=drive_link',
+    // Form endpoint the console's contact command posts to as JSON
+    // ({ name, email, subject, message }); empty opens a mailto: link
+    CONTACT_ENDPOINT: ''
 };
@@ -0,0 +1,219 @@
+/**
+ * ArgumentParser - getopt-style parsing of a command's arguments against
+ * its declared flags and positional arguments
+ *
+ * Flags are declared as { flag, description, value?, type?, min?,
+ * choices?, numeric?, default? }:
+ * - '-l' style flags combine (-la) and, when they take a value, accept
+ *   it attached or as the next argument (-n5, -n 5)
+ * - Longer flags ('-name') only match as a whole word
+ * - `value` names the flag's argument; without it the flag is a switch
+ * - `numeric` lets -N stand for the flag with value N (head -5)
+ *
+ * Positional arguments are declared as { name, description, optional?,
+ * variadic?, type?, min?, choices?, default? }; a variadic argument must
+ * be last.
+ * Commands that declare no positional arguments accept any operands.
+ *
+ * '--' ends the options and a lone '-' is an operand. The same
+ * declarations generate the synopsis, so help text and parsing agree.
+ */
+
+/**
+ * Error for arguments a command cannot accept. The message ends with
+ * the command's synopsis when the mistake is in the command's shape.
+ */
+export class UsageError extends Error {
+    constructor(message, usage = null) {
+        super(usage ? `${message}\nUsage: ${usage}` : message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Parse arguments against a command definition
+ * @param {Object} definition - { name, flags, args }
+ * @param {Array<string>} args - Arguments after the command name
+ * @returns {Object} { flags, operands, args }: flag values keyed by the
+ *   flag without its dash (switches are booleans), the operands in
+ *   order, and the positional arguments keyed by name (variadic ones
+ *   as arrays)
+ */
+export function parseArguments(definition, args) {
+    const { name, flags: specs = [] } = definition;
+    const usage = formatSynopsis(definition).split('\n')[0];
+    const byFlag = new Map(specs.map(spec => [spec.flag, spec]));
+    const numeric = specs.find(spec => spec.numeric);
+    const flags = {};
+    const operands = [];
+
+    specs.forEach(spec => {
+        flags[flagKey(spec)] = spec.value ? spec.default ?? null : false;
+    });
+
+    const set = (spec, value) => {
+        flags[flagKey(spec)] = spec.value ? convert(name, spec.flag, spec, value) : true;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            operands.push(arg);
+            continue;
+        }
+
+        const exact = byFlag.get(arg);
+        if (exact) {
+            if (exact.value && i + 1 >= args.length) {
+                throw new UsageError(`${name}: option requires an argument: ${arg}`, usage);
+            }
+            set(exact, exact.value ? args[++i] : null);
+            continue;
+        }
+
+        if (numeric && /^-\d+$/.test(arg)) {
+            set(numeric, arg.slice(1));
+            continue;
+        }
+
+        // Combined single-letter flags, the last of which may take a value
+        for (let j = 1; j < arg.length; j++) {
+            const spec = byFlag.get(`-${arg[j]}`);
+
+            if (!spec) {
+                // An unknown first letter reports the whole word (-foo)
+                throw new UsageError(`${name}: unknown option: ${j === 1 ? arg : `-${arg[j]}`}`, usage);
+            }
+
+            if (!spec.value) {
+                set(spec, null);
+                continue;
+            }
+
+            const attached = arg.slice(j + 1);
+            if (attached.length === 0 && i + 1 >= args.length) {
+                throw new UsageError(`${name}: option requires an argument: ${spec.flag}`, usage);
+            }
+            set(spec, attached.length > 0 ? attached : args[++i]);
+            break;
+        }
+    }
+
+    return { flags, operands, args: assignPositionals(definition, operands, usage) };
+}
+
+/**
+ * Format a command's synopsis from its declarations, e.g.
+ * "grep [-ivn] <pattern> [path...]". An explicit `usage` wins.
+ * @param {Object} definition - { name, flags, args, usage? }
+ * @returns {string} One synopsis per line
+ */
+export function formatSynopsis({ name, flags = [], args = null, usage = null }) {
+    if (usage) {
+        return usage;
+    }
+
+    const switches = flags.filter(spec => !spec.value && /^-\w$/.test(spec.flag));
+    const parts = [name];
+
+    if (switches.length > 0) {
+        parts.push(`[-${switches.map(spec => spec.flag.slice(1)).join('')}]`);
+    }
+
+    flags
+        .filter(spec => !switches.includes(spec))
+        .forEach(spec => parts.push(`[${formatFlag(spec)}]`));
+
+    (args || []).forEach(spec => {
+        const label = `${spec.name}${spec.variadic ? '...' : ''}`;
+        parts.push(spec.optional ? `[${label}]` : `<${label}>`);
+    });
+
+    return parts.join(' ');
+}
+
+/**
+ * Format a flag with its value name, e.g. "-n N"
+ * @param {Object} spec - Flag declaration
+ * @returns {string}
+ */
+export function formatFlag(spec) {
+    return spec.value ? `${spec.flag} ${spec.value}` : spec.flag;
+}
+
+/**
+ * Key a flag's value is stored under ('-n' -> 'n')
+ * @private
+ */
+function flagKey(spec) {
+    return spec.flag.replace(/^-+/, '');
+}
+
+/**
+ * Match operands to the declared positional arguments
+ * @private
+ */
+function assignPositionals({ name, args: specs = null }, operands, usage) {
+    const values = {};
+
+    if (!specs) {
+        return values;
+    }
+
+    if (!specs.some(spec => spec.variadic) && operands.length > specs.length) {
+        throw new UsageError(`${name}: too many arguments`, usage);
+    }
+
+    let index = 0;
+    specs.forEach(spec => {
+        const remaining = operands.length - index;
+
+        if (remaining === 0 && !spec.optional) {
+            throw new UsageError(`${name}: missing ${spec.name}`, usage);
+        }
+
+        if (spec.variadic) {
+            values[spec.name] = operands.slice(index).map(value => convert(name, spec.name, spec, value));
+            index = operands.length;
+        } else if (remaining > 0) {
+            values[spec.name] = convert(name, spec.name, spec, operands[index++]);
+        } else {
+            values[spec.name] = spec.default ?? null;
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Check a flag or argument value against its declared choices or type
+ * @private
+ */
+function convert(command, label, spec, value) {
+    if (spec.choices && !spec.choices.includes(value)) {
+        throw new UsageError(`${command}: ${label} must be one of ${spec.choices.join(', ')}, got: ${value}`);
+    }
+
+    if (spec.type !== 'integer') {
+        return value;
+    }
+
+    const number = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    const min = spec.min ?? -Infinity;
+
+    if (isNaN(number) || number < min) {
+        const expected = min === 0 ? 'a non-negative number'
+            : min === 1 ? 'a positive number'
+            : min === -Infinity ? 'a number'
+            : `a number of at least ${min}`;
+        throw new UsageError(`${command}: ${label} must be ${expected}`);
+    }
+
+    return number;
+}
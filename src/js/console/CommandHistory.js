@@ -0,0 +1,117 @@
+/**
+ * CommandHistory - Persistent console command history
+ *
+ * Entries are stored in localStorage so history survives reloads and is
+ * shared between index.html and project.html. Repeated commands are
+ * deduplicated (the most recent occurrence wins) and the list is capped.
+ */
+
+const STORAGE_KEY = 'consoleHistory';
+const MAX_ENTRIES = 500;
+
+export class CommandHistory {
+    constructor({ storageKey = STORAGE_KEY, maxEntries = MAX_ENTRIES } = {}) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
+        this.entries = this._load() || [];
+    }
+
+    /**
+     * Add a command to history
+     * @param {string} command - Command as executed
+     */
+    add(command) {
+        // Re-read first so commands run on another page are not overwritten
+        const stored = this._load() || this.entries;
+        this.entries = stored.filter(entry => entry !== command);
+        this.entries.push(command);
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(-this.maxEntries);
+        }
+
+        this._save();
+    }
+
+    /**
+     * Get all entries, oldest first
+     * @returns {Array<string>}
+     */
+    getAll() {
+        return [...this.entries];
+    }
+
+    /**
+     * Get an entry by its 1-based history number
+     * @param {number} number - History number as shown by `history`
+     * @returns {string|null}
+     */
+    get(number) {
+        return this.entries[number - 1] ?? null;
+    }
+
+    /**
+     * Get the most recent entry
+     * @returns {string|null}
+     */
+    last() {
+        return this.entries[this.entries.length - 1] ?? null;
+    }
+
+    /**
+     * Find the most recent entry containing query, searching backwards
+     * from (but not including) index
+     * @param {string} query - Substring to look for
+     * @param {number} from - Index to search back from
+     * @returns {number} Index of the match or -1
+     */
+    search(query, from = this.entries.length) {
+        for (let i = Math.min(from, this.entries.length) - 1; i >= 0; i--) {
+            if (this.entries[i].includes(query)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+
+    /**
+     * Number of entries
+     */
+    get length() {
+        return this.entries.length;
+    }
+
+    /**
+     * Load entries from localStorage
+     * @private
+     * @returns {Array<string>|null} Entries, or null if storage is unavailable
+     */
+    _load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored.filter(entry => typeof entry === 'string') : [];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save entries to localStorage
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            // Storage unavailable (private mode, quota) - keep history in memory only
+        }
+    }
+}
@@ -3,318 +3,2162 @@
  * 
  * Supports canonical commands and aliases:
  * - list/ls - List directory contents
- * - open/cd - Navigate to path
+ * - open/cd - Navigate to path ('cd -' returns to the previous directory)
+ * - pushd/popd/dirs - Directory stack
+ * - z - Jump to a frequently and recently visited directory
  * - read/cat - Read file contents
  * - tree - Display tree structure
+ * - stat - Show file or directory metadata
+ * - touch/mkdir/rm/mv/edit - Change files in the scratch space
+ *   (/home/guest and /tmp), which is also where '>' and '>>' write
  * - search - Search for keyword
- * - help - Display help
+ * - find - Find files and directories by name and type
+ * - grep/head/tail/wc/sort/uniq - Text filters for pipelines
+ * - env/export/unset/echo - Session environment variables
+ * - alias/unalias - Visitor-defined aliases (saved in localStorage)
+ * - history - Show command history
+ * - help/man - Display help, or a command's manual page
  * - clear - Clear console
+ *
+ * Input is parsed by ShellParser: commands can be piped with '|' (each
+ * stage receives the previous stage's output as its input) and chained
+ * with ';', '&&' and '||'. $NAME and ${NAME} are expanded from the
+ * session environment just before each command runs, then unquoted
+ * path globs (*, ?, [abc], **) are expanded against the filesystem.
+ *
+ * Commands live in a registry: other modules can contribute their own
+ * with registerCommand(), including completion and help text. Each
+ * command declares its flags and positional arguments; ArgumentParser
+ * validates the input against them, and help and man pages are
+ * generated from the same declarations.
  */
 
+import { ShellParser, ShellSyntaxError, REDIRECTIONS } from './ShellParser.js';
+import { CommandHistory } from './CommandHistory.js';
+import { DirectoryFrecency, matchesFragments } from './DirectoryFrecency.js';
+import { PathNotFoundError } from './VirtualFileSystem.js';
+import { closestMatches, formatSuggestions } from './Suggestions.js';
+import { UserAliases } from './UserAliases.js';
+import { parseArguments, formatSynopsis, formatFlag } from './ArgumentParser.js';
+import { OutputBuilder } from './OutputBuilder.js';
+
 export class CommandParser {
     constructor(vfs) {
         this.vfs = vfs;
+        this.shell = new ShellParser();
         this.cwd = '/';
-        this.history = [];
-
-        // Command aliases
-        this.aliases = {
-            'ls': 'list',
-            'cd': 'open',
-            'cat': 'read',
-            'dir': 'list',
-            'pwd': 'cwd',
-            'quit': 'exit'
+        this.previousCwd = null;
+        this.dirStack = [];
+        this.history = new CommandHistory();
+        this.frecency = new DirectoryFrecency();
+
+        // Session environment. PWD and OLDPWD are derived from the working
+        // directory, $? from the last pipeline's status.
+        this.env = {
+            HOME: '/',
+            USER: 'guest',
+            PROJECT: ''
+        };
+        this.status = 0;
+
+        this.userAliases = new UserAliases();
+
+        // Registered commands by name, and built-in alias -> command name
+        this.commands = {};
+        this.aliases = {};
+        this._registerBuiltins();
+    }
+
+    /**
+     * Register a command. This is how other modules contribute commands;
+     * the built-in ones are registered the same way.
+     *
+     * Flags and positional arguments are declared (see ArgumentParser):
+     * they are parsed and validated before run() is called, and generate
+     * the synopsis shown by help and the command's manual page.
+     *
+     * @param {Object} definition
+     * @param {string} definition.name - Command name
+     * @param {Array<string>} [definition.aliases] - Alternative names
+     * @param {string} [definition.description] - Help text; the first
+     *   line is the summary, later lines are printed under it
+     * @param {string} [definition.details] - Longer description for the
+     *   manual page
+     * @param {Array<string>} [definition.examples] - Example command lines
+     * @param {string} [definition.section] - Help section title
+     * @param {Array<Object>} [definition.flags] - Options as { flag,
+     *   description, value?, type?, min?, choices?, numeric?, default? }
+     * @param {Array<Object>} [definition.args] - Positional arguments as
+     *   { name, description, optional?, variadic?, type?, min?, default? };
+     *   when omitted, any operands are accepted
+     * @param {string} [definition.usage] - Synopsis, one per line;
+     *   generated from flags and args when omitted
+     * @param {boolean} [definition.parse] - Parse the arguments before
+     *   run() (default: true); echo-like commands take them verbatim
+     * @param {Function} definition.run - (args, stdin, options, parser)
+     *   returning { output, spans?, pager?, navigation?, clear?, exit?,
+     *   edit? } (see OutputBuilder for styled and clickable spans; pager
+     *   is 'always' or 'never' to override paging of long output; edit
+     *   is { path, cwd, content } to open the line editor).
+     *   stdin is the previous pipeline stage's output, or null; options
+     *   is the parsed { flags, operands, args }, or null when parse is
+     *   false. Throw an Error to fail.
+     * @param {Function} [definition.complete] - (args, prefix, parser)
+     *   returning candidates for the argument being typed; defaults to paths
+     * @param {boolean} [definition.glob] - Expand path globs in the
+     *   arguments (default: true)
+     * @returns {Function} Call to unregister the command
+     */
+    registerCommand({
+        name,
+        aliases = [],
+        description = '',
+        details = '',
+        examples = [],
+        section = 'MORE COMMANDS',
+        flags = [],
+        args = null,
+        usage = null,
+        parse = true,
+        run,
+        complete = null,
+        glob = true
+    }) {
+        if (!/^[\w.-]+$/.test(name || '')) {
+            throw new Error(`invalid command name: ${name}`);
+        }
+
+        if (typeof run !== 'function') {
+            throw new Error(`command has no run function: ${name}`);
+        }
+
+        for (const taken of [name, ...aliases]) {
+            if (this.commands[taken] || this.aliases[taken]) {
+                throw new Error(`command already registered: ${taken}`);
+            }
+        }
+
+        const definition = { name, aliases, description, details, examples, section, flags, args, parse, run, complete, glob };
+        definition.usage = formatSynopsis({ name, flags, args, usage });
+
+        this.commands[name] = definition;
+        aliases.forEach(alias => {
+            this.aliases[alias] = name;
+        });
+
+        return () => this.unregisterCommand(name);
+    }
+
+    /**
+     * Remove a registered command and its aliases
+     * @param {string} name - Command name
+     * @returns {boolean} Whether the command was registered
+     */
+    unregisterCommand(name) {
+        const definition = this.commands[name];
+        if (!definition) {
+            return false;
+        }
+
+        definition.aliases.forEach(alias => {
+            delete this.aliases[alias];
+        });
+        delete this.commands[name];
+        return true;
+    }
+
+    /**
+     * Register the built-in commands, in help order
+     * @private
+     */
+    _registerBuiltins() {
+        const none = () => [];
+        const directories = (args, prefix) => this._getPathSuggestions(prefix, 'directory');
+        const files = (args, prefix) => this._getPathSuggestions(prefix, 'file');
+        const commands = (args, prefix) => args.length === 0 ? this._getCommandSuggestions(prefix) : [];
+
+        const sections = {
+            navigation: 'NAVIGATION',
+            files: 'FILE OPERATIONS',
+            search: 'SEARCH',
+            filters: "FILTERS (use after '|' or with a file path)",
+            environment: 'ENVIRONMENT',
+            utility: 'UTILITY'
+        };
+
+        // Filters read their input from a pipe or from these files
+        const inputFiles = { name: 'path', optional: true, variadic: true, description: 'Files to read when nothing is piped in' };
+
+        [
+            {
+                name: 'list',
+                aliases: ['ls', 'dir'],
+                section: sections.navigation,
+                description: 'List directory contents\n(-l details, -a hidden files, -R recursive)',
+                details: 'Lists the entries of each directory, directories marked with a trailing /. Several directories (or -R) are listed one after another, each under its own path.',
+                flags: [
+                    { flag: '-l', description: 'Show kind, size, lines and date' },
+                    { flag: '-a', description: 'Include hidden entries' },
+                    { flag: '-R', description: 'List subdirectories recursively' }
+                ],
+                args: [{ name: 'path', optional: true, variadic: true, description: 'Directories to list (default: the current directory)' }],
+                examples: ['list -l /projects', 'ls -aR /meta'],
+                run: this.cmdList.bind(this),
+                complete: directories
+            },
+            {
+                name: 'open',
+                aliases: ['cd'],
+                section: sections.navigation,
+                description: "Navigate to directory or open file\n('open -' returns to the previous directory)",
+                details: 'Changes to a directory, opens a project page or a link, or prints any other file. Without a path, shows the current directory.',
+                args: [{ name: 'path', optional: true, description: "Directory or file; '-' is the previous directory" }],
+                examples: ['open /projects/diatadmin', 'cd ..', 'cd -'],
+                run: this.cmdOpen.bind(this),
+                complete: directories
+            },
+            {
+                name: 'pushd',
+                section: sections.navigation,
+                description: 'Push directory onto the stack and change to it',
+                details: 'Without a path, swaps the current directory with the one on top of the stack.',
+                args: [{ name: 'path', optional: true, description: 'Directory to change to' }],
+                run: this.cmdPushd.bind(this),
+                complete: directories
+            },
+            {
+                name: 'popd',
+                section: sections.navigation,
+                description: 'Return to the directory on top of the stack',
+                args: [],
+                run: this.cmdPopd.bind(this),
+                complete: none
+            },
+            {
+                name: 'dirs',
+                section: sections.navigation,
+                description: 'Show (numbered) or clear the directory stack',
+                flags: [
+                    { flag: '-v', description: 'Number the entries' },
+                    { flag: '-c', description: 'Clear the stack' }
+                ],
+                args: [],
+                run: this.cmdDirs.bind(this),
+                complete: none
+            },
+            {
+                name: 'z',
+                section: sections.navigation,
+                description: 'Jump to the best match among visited directories\n(ranked by frequency and recency; no args: list)',
+                details: 'Fragments must appear in the path in order. Visited directories are ranked by how often and how recently they were visited; directories never visited are matched as a fallback. Without fragments, lists the ranking.',
+                args: [{ name: 'fragment', optional: true, variadic: true, description: 'Parts of the directory path' }],
+                examples: ['z diat', 'z proj att'],
+                run: this.cmdZ.bind(this),
+                complete: none,
+                glob: false
+            },
+            {
+                name: 'cwd',
+                aliases: ['pwd'],
+                section: sections.navigation,
+                description: 'Show current working directory',
+                args: [],
+                run: this.cmdCwd.bind(this),
+                complete: none
+            },
+            {
+                name: 'read',
+                aliases: ['cat'],
+                section: sections.files,
+                description: 'Read file contents\n(several files get a ==> path <== header each)',
+                args: [{ name: 'path', variadic: true, description: 'Files to print' }],
+                examples: ['read /base/about', 'cat /projects/*/impact'],
+                run: this.cmdRead.bind(this),
+                complete: files
+            },
+            {
+                name: 'tree',
+                section: sections.files,
+                description: 'Display tree structure (default depth: 3)',
+                args: [
+                    { name: 'path', optional: true, default: '.', description: 'Directory to start from' },
+                    { name: 'depth', optional: true, type: 'integer', min: 1, default: 3, description: 'Levels to show (default: 3)' }
+                ],
+                examples: ['tree /projects 2'],
+                run: this.cmdTree.bind(this),
+                complete: (args, prefix) => {
+                    if (args.length === 0) {
+                        return this._getPathSuggestions(prefix, 'directory');
+                    }
+                    return args.length === 1 ? ['1', '2', '3', '4', '5'].filter(depth => depth.startsWith(prefix)) : [];
+                }
+            },
+            {
+                name: 'less',
+                section: sections.files,
+                description: 'View files or piped output in a pager\n(space/b page, j/k line, / search, q quit)',
+                details: 'Output longer than the console opens in the pager automatically; add --no-pager to any command to print it instead.',
+                args: [{ name: 'path', optional: true, variadic: true, description: 'Files to view (default: the piped input)' }],
+                examples: ['less /projects/diatadmin/decisions.log', 'help | less'],
+                run: this.cmdLess.bind(this),
+                complete: files
+            },
+            {
+                name: 'stat',
+                section: sections.files,
+                description: 'Show size, line/word counts, kind and date',
+                args: [{ name: 'path', variadic: true, description: 'Files or directories' }],
+                run: this.cmdStat.bind(this)
+            },
+            {
+                name: 'touch',
+                section: sections.files,
+                description: 'Create empty files, or update their date\n(in /home/guest and /tmp)',
+                details: 'Only the scratch space, /home/guest and /tmp, can be changed. It is saved in this browser.',
+                args: [{ name: 'path', variadic: true, description: 'Files to create' }],
+                examples: ['touch $HOME/notes.txt', 'touch /tmp/todo'],
+                run: this.cmdTouch.bind(this)
+            },
+            {
+                name: 'mkdir',
+                section: sections.files,
+                description: 'Create directories (-p: with their parents)',
+                flags: [{ flag: '-p', description: 'Create missing parent directories; no error if it exists' }],
+                args: [{ name: 'path', variadic: true, description: 'Directories to create' }],
+                examples: ['mkdir /home/guest/notes', 'mkdir -p /tmp/a/b/c'],
+                run: this.cmdMkdir.bind(this),
+                complete: directories
+            },
+            {
+                name: 'rm',
+                section: sections.files,
+                description: 'Remove files (-r: directories too)',
+                flags: [{ flag: '-r', description: 'Remove directories and everything in them' }],
+                args: [{ name: 'path', variadic: true, description: 'Files or directories to remove' }],
+                examples: ['rm /tmp/todo', 'rm -r /home/guest/notes'],
+                run: this.cmdRm.bind(this)
+            },
+            {
+                name: 'mv',
+                section: sections.files,
+                description: 'Move or rename a file or directory',
+                details: 'When the destination is a directory, the source is moved into it; an existing file at the destination is replaced.',
+                args: [
+                    { name: 'source', description: 'File or directory to move' },
+                    { name: 'destination', description: 'New path, or directory to move into' }
+                ],
+                examples: ['mv /tmp/todo /home/guest/todo.txt'],
+                run: this.cmdMv.bind(this)
+            },
+            {
+                name: 'edit',
+                section: sections.files,
+                description: 'Edit a file line by line (type lines to add them,\n. on its own to save, :h for editor commands)',
+                details: 'Shows the file with line numbers, then every line you type is added to the end. Editor commands: :p prints the file, :d N deletes line N, :c N text replaces line N, :i N text inserts before line N, :w saves, :q quits without saving; a lone . saves and quits. Ctrl+C also quits without saving.',
+                args: [{ name: 'path', description: 'File to edit (created when saved)' }],
+                examples: ['edit /home/guest/notes.txt'],
+                run: this.cmdEdit.bind(this),
+                complete: files
+            },
+            {
+                name: 'search',
+                section: sections.search,
+                description: 'Ranked search across all content (top 10)\n-g shows every matching line instead\n(-E regex, -i ignore case, -s case-sensitive)',
+                details: 'By default files are ranked by relevance (BM25) and shown with a snippet; quoted terms are matched as phrases. With -g every matching line is listed with its line number; -E and -s imply -g.',
+                flags: [
+                    { flag: '-g', description: 'Show every matching line' },
+                    { flag: '-E', description: 'Treat the keyword as a regular expression' },
+                    { flag: '-i', description: 'Ignore case (the default)' },
+                    { flag: '-s', description: 'Case-sensitive' },
+                    { flag: '-m', value: 'N', type: 'integer', min: 1, description: 'Maximum number of files, or lines with -g' }
+                ],
+                args: [{ name: 'terms', variadic: true, description: 'Keywords and "quoted phrases"' }],
+                examples: ['search react "state management"', 'search -gE "use[A-Z]\\w+"'],
+                run: this.cmdSearch.bind(this),
+                complete: none,
+                glob: false
+            },
+            {
+                name: 'find',
+                section: sections.search,
+                description: 'Find files and directories by name, type and depth',
+                flags: [
+                    { flag: '-name', value: 'GLOB', description: 'Name matches the glob' },
+                    { flag: '-iname', value: 'GLOB', description: 'Like -name, ignoring case' },
+                    { flag: '-type', value: 'f|d', choices: ['f', 'd'], description: 'Only files (f) or directories (d)' },
+                    { flag: '-maxdepth', value: 'N', type: 'integer', min: 0, description: 'Descend at most N levels' }
+                ],
+                args: [{ name: 'path', optional: true, variadic: true, description: 'Directories to search (default: the current directory)' }],
+                examples: ['find /projects -name "*.log"', 'find -type d -maxdepth 1'],
+                run: this.cmdFind.bind(this),
+                complete: directories,
+                glob: false
+            },
+            {
+                name: 'grep',
+                section: sections.filters,
+                description: 'Keep lines containing pattern',
+                flags: [
+                    { flag: '-i', description: 'Ignore case' },
+                    { flag: '-v', description: 'Keep lines that do not match' },
+                    { flag: '-n', description: 'Prefix line numbers' }
+                ],
+                args: [
+                    { name: 'pattern', description: 'Text to look for' },
+                    inputFiles
+                ],
+                examples: ['read /projects/diatadmin/decisions.log | grep -in branch'],
+                run: this.cmdGrep.bind(this),
+                glob: false
+            },
+            {
+                name: 'head',
+                section: sections.filters,
+                description: 'First N lines (default: 10)',
+                flags: [{ flag: '-n', value: 'N', type: 'integer', min: 0, default: 10, numeric: true, description: 'Number of lines (-N for short)' }],
+                args: [inputFiles],
+                run: this.cmdHead.bind(this)
+            },
+            {
+                name: 'tail',
+                section: sections.filters,
+                description: 'Last N lines (default: 10)',
+                flags: [{ flag: '-n', value: 'N', type: 'integer', min: 0, default: 10, numeric: true, description: 'Number of lines (-N for short)' }],
+                args: [inputFiles],
+                run: this.cmdTail.bind(this)
+            },
+            {
+                name: 'wc',
+                section: sections.filters,
+                description: 'Count lines, words, characters',
+                flags: [
+                    { flag: '-l', description: 'Count lines' },
+                    { flag: '-w', description: 'Count words' },
+                    { flag: '-c', description: 'Count characters' }
+                ],
+                args: [inputFiles],
+                run: this.cmdWc.bind(this)
+            },
+            {
+                name: 'sort',
+                section: sections.filters,
+                description: 'Sort lines (reverse, numeric)',
+                flags: [
+                    { flag: '-r', description: 'Reverse the order' },
+                    { flag: '-n', description: 'Compare numerically' }
+                ],
+                args: [inputFiles],
+                run: this.cmdSort.bind(this)
+            },
+            {
+                name: 'uniq',
+                section: sections.filters,
+                description: 'Collapse repeated lines (with counts)',
+                flags: [{ flag: '-c', description: 'Prefix lines with their count' }],
+                args: [inputFiles],
+                run: this.cmdUniq.bind(this)
+            },
+            {
+                name: 'env',
+                section: sections.environment,
+                description: 'Show session variables',
+                args: [],
+                run: this.cmdEnv.bind(this),
+                complete: none
+            },
+            {
+                name: 'export',
+                section: sections.environment,
+                description: 'Set a variable (e.g. export P=/projects/diatadmin)',
+                details: 'Variables last for the session. PWD and OLDPWD follow the working directory and cannot be set. Without arguments, prints the environment.',
+                args: [{ name: 'NAME=value', optional: true, variadic: true, description: 'Variable to set' }],
+                run: this.cmdExport.bind(this),
+                complete: none,
+                glob: false
+            },
+            {
+                name: 'unset',
+                section: sections.environment,
+                description: 'Remove a variable',
+                args: [{ name: 'NAME', variadic: true, description: 'Variable to remove' }],
+                run: this.cmdUnset.bind(this),
+                complete: (args, prefix) => Object.keys(this.env).filter(name => name.startsWith(prefix)).sort(),
+                glob: false
+            },
+            {
+                name: 'echo',
+                section: sections.environment,
+                description: 'Print text (e.g. echo $PWD)',
+                args: [{ name: 'text', optional: true, variadic: true, description: 'Words to print, separated by spaces' }],
+                parse: false,
+                run: this.cmdEcho.bind(this),
+                complete: none
+            },
+            {
+                name: 'alias',
+                section: sections.utility,
+                description: "Define or show aliases (e.g. alias ll='list -l'),\nsaved in this browser",
+                details: 'An alias replaces the command name it stands for before the input is parsed, so its value may contain arguments, pipes and chains. Without arguments, lists all aliases.',
+                args: [{ name: 'name[=value]', optional: true, variadic: true, description: 'Alias to define, or to show' }],
+                examples: ["alias ll='list -l'", "alias logs='find / -name \"*.log\"'"],
+                run: this.cmdAlias.bind(this),
+                complete: none,
+                glob: false
+            },
+            {
+                name: 'unalias',
+                section: sections.utility,
+                description: 'Remove aliases (-a: all)',
+                flags: [{ flag: '-a', description: 'Remove all aliases' }],
+                args: [{ name: 'name', optional: true, variadic: true, description: 'Aliases to remove' }],
+                run: this.cmdUnalias.bind(this),
+                complete: (args, prefix) => Object.keys(this.userAliases.getAll()).filter(name => name.startsWith(prefix)).sort(),
+                glob: false
+            },
+            {
+                name: 'history',
+                section: sections.utility,
+                description: 'Show last N commands (-c to clear)',
+                flags: [{ flag: '-c', description: 'Clear the history' }],
+                args: [{ name: 'N', optional: true, type: 'integer', min: 1, description: 'Number of commands to show' }],
+                run: this.cmdHistory.bind(this),
+                complete: none
+            },
+            {
+                name: 'help',
+                section: sections.utility,
+                description: "Display this help message, or a command's manual",
+                args: [{ name: 'command', optional: true, description: 'Command to describe' }],
+                run: this.cmdHelp.bind(this),
+                complete: commands
+            },
+            {
+                name: 'man',
+                section: sections.utility,
+                description: 'Show the manual page of a command',
+                args: [{ name: 'command', description: 'Command to describe' }],
+                examples: ['man find'],
+                run: this.cmdMan.bind(this),
+                complete: commands
+            },
+            {
+                name: 'clear',
+                section: sections.utility,
+                description: 'Clear console output',
+                args: [],
+                run: this.cmdClear.bind(this),
+                complete: none
+            },
+            {
+                name: 'exit',
+                aliases: ['quit'],
+                section: sections.utility,
+                description: 'Close console',
+                args: [],
+                run: this.cmdExit.bind(this),
+                complete: none
+            }
+        ].forEach(definition => this.registerCommand(definition));
+    }
+
+    /**
+     * Parse and execute a command
+     * @param {string} input - Raw command input
+     * @returns {Object} Command result with output and metadata
+     */
+    execute(input) {
+        if (!input || input.trim().length === 0) {
+            return { output: '', error: false };
+        }
+
+        let trimmed = input.trim();
+        let expanded = null;
+
+        // History expansion happens before parsing, like in bash
+        try {
+            expanded = this._expandHistory(trimmed);
+        } catch (error) {
+            return {
+                output: `Error: ${error.message}`,
+                error: true
+            };
+        }
+
+        if (expanded !== trimmed) {
+            trimmed = expanded;
+        } else {
+            expanded = null;
+        }
+
+        this.history.add(trimmed);
+
+        // History keeps the aliases as typed
+        const source = this._expandAliases(trimmed);
+
+        let ast;
+        try {
+            ast = this.shell.parse(source);
+        } catch (error) {
+            if (error instanceof ShellSyntaxError) {
+                return {
+                    output: this._formatSyntaxError(source, error),
+                    error: true,
+                    expanded
+                };
+            }
+            throw error;
+        }
+
+        return { ...this._runList(ast, source), expanded };
+    }
+
+    /**
+     * Names of the commands a command line would run, without running
+     * it: history references, aliases and variables are expanded as
+     * execute() would, built-in aliases resolved to the command name.
+     * Unknown commands are returned as typed.
+     * @param {string} input - Command line
+     * @returns {Array<string>} Command names
+     * @throws {Error} If the input cannot be parsed
+     */
+    getCommandNames(input) {
+        return this._parseExpanded(input).entries.flatMap(({ pipeline }) => {
+            return pipeline.commands
+                .map(node => this._expandWords(node.words))
+                .filter(words => words.length > 0)
+                .map(([word]) => this.aliases[word.value] || word.value);
+        });
+    }
+
+    /**
+     * Files a command line would write with > or >>, without running it
+     * @param {string} input - Command line
+     * @returns {Array<string>} Redirection targets as typed
+     * @throws {Error} If the input cannot be parsed
+     */
+    getRedirections(input) {
+        return this._parseExpanded(input).entries.flatMap(({ pipeline }) => {
+            return pipeline.commands.flatMap(node => node.redirects.map(redirect => redirect.target.value));
+        });
+    }
+
+    /**
+     * Parse a command line after history and alias expansion
+     * @private
+     */
+    _parseExpanded(input) {
+        return this.shell.parse(this._expandAliases(this._expandHistory(input.trim())));
+    }
+
+    /**
+     * Expand history references: !! (last command), !n (entry n) and
+     * !-n (n commands back). Single-quoted and escaped '!' are left alone.
+     * @private
+     * @returns {string} Expanded input
+     */
+    _expandHistory(input) {
+        let output = '';
+        let inSingleQuotes = false;
+        let i = 0;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (char === '\\' && !inSingleQuotes) {
+                output += input.slice(i, i + 2);
+                i += 2;
+                continue;
+            }
+
+            if (char === "'") {
+                inSingleQuotes = !inSingleQuotes;
+            }
+
+            if (char === '!' && !inSingleQuotes) {
+                const match = input.slice(i).match(/^!(!|-?\d+)/);
+                if (match) {
+                    output += this._resolveHistoryReference(match[0], match[1]);
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            output += char;
+            i++;
+        }
+
+        return output;
+    }
+
+    /**
+     * Resolve a single history reference
+     * @private
+     */
+    _resolveHistoryReference(reference, designator) {
+        let entry = null;
+
+        if (designator === '!') {
+            entry = this.history.last();
+        } else {
+            const number = parseInt(designator, 10);
+            entry = number < 0
+                ? this.history.get(this.history.length + number + 1)
+                : this.history.get(number);
+        }
+
+        if (entry === null) {
+            throw new Error(`${reference}: event not found`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Expand user aliases in command position (the first word of each
+     * command), like bash. An alias is not expanded again inside its own
+     * value, so `alias ls='ls -l'` works.
+     * @private
+     * @param {string} input - Command line
+     * @param {Set} seen - Aliases already being expanded
+     * @returns {string} Expanded command line
+     */
+    _expandAliases(input, seen = new Set()) {
+        let tokens;
+        try {
+            tokens = this.shell.tokenize(input);
+        } catch (error) {
+            // Leave malformed input for the parser to report
+            return input;
+        }
+
+        let output = '';
+        let position = 0;
+        let commandStart = true;
+        let redirectTarget = false;
+
+        for (const token of tokens) {
+            if (token.type === 'operator') {
+                // The word after > or >> is a file name, not a command
+                redirectTarget = REDIRECTIONS.includes(token.value);
+                commandStart = commandStart || !redirectTarget;
+                continue;
+            }
+
+            if (redirectTarget) {
+                redirectTarget = false;
+                continue;
+            }
+
+            if (commandStart && token.parts.length === 1 && token.parts[0].quote === null && !token.parts[0].variable) {
+                const value = seen.has(token.value) ? null : this.userAliases.get(token.value);
+
+                if (value !== null) {
+                    output += input.slice(position, token.start);
+                    output += this._expandAliases(value, new Set([...seen, token.value]));
+                    position = token.end;
+                }
+            }
+
+            commandStart = false;
+        }
+
+        return output + input.slice(position);
+    }
+
+    /**
+     * Run a list of pipelines joined by ; && ||
+     * @private
+     */
+    _runList(list, input) {
+        const blocks = [];
+        let last = null;
+        let navigation = null;
+        let clear = false;
+        let exit = false;
+        let edit = null;
+
+        for (const { operator, pipeline } of list.entries) {
+            // Conditional chaining looks at the last pipeline that ran
+            if (operator === '&&' && last && last.error) continue;
+            if (operator === '||' && last && !last.error) continue;
+
+            last = this._runPipeline(pipeline, input);
+            this.status = last.error ? 1 : 0;
+
+            if (last.clear) {
+                // Anything printed before a clear is discarded
+                blocks.length = 0;
+                clear = true;
+            }
+
+            if (last.output) {
+                blocks.push({ output: last.output, error: last.error, spans: last.spans, pager: last.pager });
+            }
+
+            navigation = last.navigation || navigation;
+            exit = exit || last.exit;
+            edit = last.edit || edit;
+        }
+
+        return {
+            output: blocks.map(block => block.output).join('\n'),
+            error: last ? last.error : false,
+            blocks,
+            navigation,
+            clear,
+            exit,
+            edit,
+            correction: last && last.error ? last.correction || null : null
+        };
+    }
+
+    /**
+     * Run a pipeline, feeding each command's output to the next one.
+     * Failures caused by a typo carry a `correction`: the full input with
+     * the mistyped command or path replaced by the closest match.
+     * @private
+     */
+    _runPipeline(pipeline, input) {
+        let stdin = null;
+        let result = null;
+        let noPager = false;
+
+        for (const node of pipeline.commands) {
+            let words = this._expandWords(node.words);
+
+            // Nothing left after expansion (e.g. an unset $VAR): a no-op
+            if (words.length === 0) {
+                result = { output: '' };
+                stdin = '';
+                continue;
+            }
+
+            const command = words[0].value;
+
+            // Resolve alias
+            const canonicalCommand = this.aliases[command] || command;
+            const definition = this.commands[canonicalCommand];
+
+            // Check if command exists
+            if (!definition) {
+                const names = this._getCommandNames();
+                const suggestions = closestMatches(command, names);
+
+                if (suggestions.length === 0) {
+                    return {
+                        output: `Error: unknown command: ${command}. Type 'help' for available commands.`,
+                        error: true
+                    };
+                }
+
+                return {
+                    output: `Error: unknown command: ${command}. ${formatSuggestions(suggestions)}`,
+                    error: true,
+                    correction: this._replaceWord(input, words[0].word, suggestions[0])
+                };
+            }
+
+            if (definition.glob) {
+                try {
+                    words = [words[0], ...words.slice(1).flatMap(word => this._expandGlob(word))];
+                } catch (error) {
+                    return { output: `Error: ${error.message}`, error: true };
+                }
+            }
+
+            // --no-pager is understood by every command, like git's
+            if (words.some(word => word.value === '--no-pager')) {
+                words = words.filter(word => word.value !== '--no-pager');
+                noPager = true;
+            }
+
+            const args = words.slice(1).map(word => word.value);
+
+            try {
+                const options = definition.parse ? parseArguments(definition, args) : null;
+                result = definition.run(args, stdin, options, this);
+            } catch (error) {
+                const argument = error instanceof PathNotFoundError && error.suggestions.length > 0
+                    ? words.slice(1).find(word => word.value === error.path)
+                    : null;
+
+                return {
+                    output: `Error: ${error.message}`,
+                    error: true,
+                    correction: argument ? this._replaceWord(input, argument.word, error.suggestions[0]) : null
+                };
+            }
+
+            // Redirected output goes to the file instead of the next command
+            if (node.redirects.length > 0) {
+                try {
+                    this._redirect(node.redirects, result.output || '');
+                } catch (error) {
+                    return { output: `Error: ${error.message}`, error: true };
+                }
+                result = { ...result, output: '', spans: null, pager: null };
+            }
+
+            stdin = result.output || '';
+        }
+
+        return {
+            output: result.output || '',
+            error: false,
+            spans: result.spans || null,
+            pager: noPager ? 'never' : result.pager || null,
+            navigation: result.navigation || null,
+            clear: result.clear || false,
+            exit: result.exit || false,
+            edit: result.edit || null
         };
+    }
+
+    /**
+     * Expand variable references in a command's words. Values are not
+     * split into several words (as in zsh); a word made only of unquoted
+     * references that expand to nothing is dropped.
+     * @private
+     * @returns {Array} { word, value } for each remaining word
+     */
+    _expandWords(words) {
+        const env = this.getEnv();
+
+        return words
+            .map(word => ({
+                word,
+                value: word.parts.map(part => part.variable ? env[part.variable] ?? '' : part.value).join('')
+            }))
+            .filter(({ word, value }) => {
+                return value.length > 0 || !word.parts.every(part => part.variable && part.quote === null);
+            });
+    }
+
+    /**
+     * Expand a word containing unquoted glob characters into the
+     * matching paths. Quoted and escaped characters stay literal.
+     * @private
+     * @returns {Array} { word, value } per match, or the word itself
+     *   when it is not a glob
+     */
+    _expandGlob(expanded) {
+        const pattern = expanded.word.parts.map(part => {
+            return part.quote === null && !part.variable
+                ? part.value
+                : part.value.replace(/[*?[\]\\]/g, '\\$&');
+        }).join('');
+
+        if (!this.vfs.hasGlob(pattern)) {
+            return [expanded];
+        }
+
+        const matches = this.vfs.glob(pattern, this.cwd);
+
+        if (matches.length === 0) {
+            throw new Error(`no matches found: ${expanded.value}`);
+        }
+
+        return matches.map(path => ({ word: expanded.word, value: path }));
+    }
+
+    /**
+     * Replace a parsed word in the input, keeping the rest as typed
+     * @private
+     */
+    _replaceWord(input, word, replacement) {
+        return input.slice(0, word.start) + this._escapeWord(replacement) + input.slice(word.end);
+    }
+
+    /**
+     * Format a syntax error with a caret under the offending column
+     * @private
+     */
+    _formatSyntaxError(input, error) {
+        const caret = `${' '.repeat(error.column - 1)}^`;
+        return `Error: syntax error at column ${error.column}: ${error.message}\n  ${input}\n  ${caret}`;
+    }
+
+    /**
+     * Parse command string into command and arguments.
+     * Tolerates incomplete input (open quotes) for autocomplete.
+     * @private
+     */
+    _parseCommand(input) {
+        let words;
+        try {
+            words = this.shell.tokenize(input, { lenient: true })
+                .filter(token => token.type === 'word')
+                .map(token => token.value);
+        } catch (error) {
+            words = input.split(/\s+/).filter(word => word.length > 0);
+        }
+
+        const command = words[0] || '';
+        const args = words.slice(1);
+
+        return { command, args };
+    }
+
+    /**
+     * Get the text a filter command operates on: piped input, or the
+     * contents of the given files when used at the start of a pipeline
+     * @private
+     */
+    _getFilterInput(command, paths, input) {
+        if (input !== null) {
+            return input;
+        }
+
+        if (paths.length === 0) {
+            throw new Error(`${command} requires piped input or a file path (e.g. read overview | ${command})`);
+        }
+
+        return paths.map(path => this.vfs.readFile(path, this.cwd)).join('\n');
+    }
+
+    /**
+     * Split filter input into lines, ignoring a single trailing newline
+     * @private
+     */
+    _toLines(text) {
+        if (text.length === 0) {
+            return [];
+        }
+
+        return text.replace(/\n$/, '').split('\n');
+    }
+
+    /**
+     * Command: list - List directory contents
+     * -l long format, -a include hidden entries, -R recurse into subdirectories
+     */
+    cmdList(args, input, { flags, operands }) {
+        const paths = operands.length > 0 ? operands : ['.'];
+        const options = { long: flags.l, all: flags.a };
+        const directories = [];
+
+        paths.forEach(path => {
+            if (flags.R) {
+                this._listRecursive(path, options, directories);
+            } else {
+                directories.push(path);
+            }
+        });
+
+        // Label each directory when more than one is listed
+        const labelled = flags.R || paths.length > 1;
+        const out = new OutputBuilder();
+
+        directories.forEach((path, index) => {
+            if (index > 0) {
+                out.newline().newline();
+            }
+            if (labelled) {
+                out.text(`${path}:`, { style: 'emphasis' }).newline();
+            }
+            this._formatListing(out, path, options);
+        });
+
+        return out.build();
+    }
+
+    /**
+     * Collect a directory and every directory below it
+     * @private
+     */
+    _listRecursive(path, options, directories) {
+        directories.push(path);
+
+        this.vfs.listDirectory(path, this.cwd, { all: options.all })
+            .filter(entry => entry.type === 'directory')
+            .forEach(entry => {
+                const childPath = path.endsWith('/') ? `${path}${entry.name}` : `${path}/${entry.name}`;
+                this._listRecursive(childPath, options, directories);
+            });
+    }
+
+    /**
+     * Write one directory's entries, as names or as long-format rows
+     * (kind, size in bytes, lines, last updated, name). Names open the
+     * entry when clicked.
+     * @private
+     */
+    _formatListing(out, path, { long, all }) {
+        const entries = this.vfs.listDirectory(path, this.cwd, { all });
+
+        if (entries.length === 0) {
+            out.text('(empty directory)', { style: 'muted' });
+            return;
+        }
+
+        const names = entries.map(entry => {
+            const suffix = entry.type === 'directory' ? '/' : '';
+            return { text: `${entry.name}${suffix}`, action: this._getPathAction(entry.path) };
+        });
+
+        if (!long) {
+            out.table(names.map(name => [name]));
+            return;
+        }
+
+        const rows = entries.map((entry, index) => {
+            const stat = this.vfs.stat(entry.path);
+            return [
+                stat.kind,
+                stat.size === null ? '-' : String(stat.size),
+                stat.lines === null ? '-' : String(stat.lines),
+                stat.updated,
+                names[index]
+            ];
+        });
+
+        out.table(rows, { align: ['left', 'right', 'right', 'left', 'left'] });
+    }
+
+    /**
+     * Click action for a path in command output: directories and linked
+     * files are opened, other files are read
+     * @private
+     * @param {string} path - Absolute path
+     */
+    _getPathAction(path) {
+        const node = this.vfs.resolvePath(path);
+        const command = node && (node.type === 'directory' || node.url) ? 'open' : 'read';
+        return { type: 'command', command: `${command} ${this._escapeWord(path)}` };
+    }
+
+    /**
+     * Command: stat - Show metadata for files and directories
+     */
+    cmdStat(args, input, { operands }) {
+        const blocks = operands.map(path => {
+            const stat = this.vfs.stat(path, this.cwd);
+            const fields = [
+                ['Path', stat.path],
+                ['Type', stat.type],
+                ['Kind', stat.kind]
+            ];
+
+            if (stat.type === 'file') {
+                fields.push(['Size', `${stat.size} bytes`], ['Lines', stat.lines], ['Words', stat.words]);
+            } else {
+                fields.push(['Entries', stat.entries]);
+            }
+
+            if (stat.url) fields.push(['URL', stat.url]);
+            if (stat.projectId) fields.push(['Project', `#${stat.projectId}`]);
+            if (stat.hidden) fields.push(['Hidden', 'yes']);
+            fields.push(['Updated', stat.updated]);
+
+            return fields.map(([label, value]) => `${`${label}:`.padEnd(9)} ${value}`).join('\n');
+        });
+
+        return { output: blocks.join('\n\n') };
+    }
+
+    /**
+     * Command: touch - Create empty files
+     */
+    cmdTouch(args, input, { operands }) {
+        operands.forEach(path => this.vfs.touch(path, this.cwd));
+        return { output: '' };
+    }
+
+    /**
+     * Command: mkdir - Create directories
+     */
+    cmdMkdir(args, input, { flags, operands }) {
+        operands.forEach(path => this.vfs.makeDirectory(path, this.cwd, { parents: flags.p }));
+        return { output: '' };
+    }
+
+    /**
+     * Command: rm - Remove files and directories
+     */
+    cmdRm(args, input, { flags, operands }) {
+        operands.forEach(path => {
+            const node = this.vfs.resolvePath(path, this.cwd);
+
+            if (node && this._containsCwd(node.path)) {
+                throw new Error(`rm: cannot remove the current directory: ${path}`);
+            }
+            this.vfs.remove(path, this.cwd, { recursive: flags.r });
+        });
+
+        return { output: '' };
+    }
+
+    /**
+     * Command: mv - Move or rename a file or directory
+     */
+    cmdMv(args, input, { args: { source, destination } }) {
+        const node = this.vfs.resolvePath(source, this.cwd);
+
+        if (node && this._containsCwd(node.path)) {
+            throw new Error(`mv: cannot move the current directory: ${source}`);
+        }
+
+        this.vfs.move(source, destination, this.cwd);
+        return { output: '' };
+    }
+
+    /**
+     * Whether the working directory is at or below a path
+     * @private
+     */
+    _containsCwd(path) {
+        return this.cwd === path || this.cwd.startsWith(`${path}/`);
+    }
+
+    /**
+     * Command: edit - Open a file in the line editor
+     */
+    cmdEdit(args, input, { args: { path } }) {
+        const node = this.vfs.resolvePath(path, this.cwd);
+
+        if (node && node.type === 'directory') {
+            throw new Error(`edit: is a directory: ${path}`);
+        }
+
+        if (!this.vfs.isWritable(path, this.cwd)) {
+            throw new Error(`edit: read-only file system: ${path} (try 'read ${this._escapeWord(path)}')`);
+        }
+
+        return {
+            output: '',
+            edit: { path, cwd: this.cwd, content: node ? node.content || '' : '' }
+        };
+    }
+
+    /**
+     * Write a command's output to its redirection targets. Like a shell,
+     * every target is created or truncated, and the output goes to the
+     * last one.
+     * @private
+     */
+    _redirect(redirects, output) {
+        const content = output.length > 0 && !output.endsWith('\n') ? `${output}\n` : output;
+
+        redirects.forEach(({ operator, target }, index) => {
+            const words = this._expandWords([target]);
+
+            if (words.length !== 1) {
+                throw new Error(`ambiguous redirect: ${target.value}`);
+            }
+
+            const last = index === redirects.length - 1;
+            this.vfs.writeFile(words[0].value, last ? content : '', this.cwd, { append: operator === '>>' });
+        });
+    }
+
+    /**
+     * Command: open - Navigate to path or open file
+     */
+    cmdOpen(args, input, { args: { path } }) {
+        if (path === null) {
+            return { output: `Current directory: ${this.cwd}` };
+        }
+
+        if (path === '-') {
+            if (!this.previousCwd) {
+                throw new Error('open: no previous directory');
+            }
+            this._changeDirectory(this.previousCwd);
+            return { output: `Changed directory to ${this.cwd}` };
+        }
+
+        try {
+            const node = this.vfs.resolvePath(path, this.cwd);
+
+            if (!node) {
+                throw new PathNotFoundError(path, this.vfs.suggestPaths(path, this.cwd));
+            }
+
+            if (node.type === 'directory') {
+                // Change directory
+                this._changeDirectory(node.path);
+                return { output: `Changed directory to ${this.cwd}` };
+            } else {
+                // File - check if it's a project file or special file
+                const projectId = this.vfs.getProjectIdFromPath(node.path);
+
+                if (projectId) {
+                    return {
+                        output: `Opening project: ${node.path}`,
+                        navigation: {
+                            type: 'project',
+                            projectId: projectId
+                        }
+                    };
+                } else if (node.url) {
+                    return {
+                        output: `Opening: ${node.path}`,
+                        navigation: {
+                            type: 'url',
+                            url: node.url
+                        }
+                    };
+                } else {
+                    // Just display the file
+                    return {
+                        output: node.content || '(empty file)'
+                    };
+                }
+            }
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Change the working directory, remembering the previous one for
+     * 'cd -' and recording the visit for z
+     * @private
+     * @param {string} path - Absolute path of an existing directory
+     */
+    _changeDirectory(path) {
+        this.previousCwd = this.cwd;
+        this.cwd = path;
+        this.frecency.visit(path);
+    }
+
+    /**
+     * Resolve a path that must be a directory
+     * @private
+     */
+    _resolveDirectory(command, path) {
+        const node = this.vfs.resolvePath(path, this.cwd);
+
+        if (!node) {
+            throw new PathNotFoundError(path, this.vfs.suggestPaths(path, this.cwd));
+        }
+
+        if (node.type !== 'directory') {
+            throw new Error(`${command}: not a directory: ${path}`);
+        }
+
+        return node;
+    }
+
+    /**
+     * Format the directory stack, current directory first
+     * @private
+     */
+    _formatDirStack(verbose = false) {
+        const stack = [this.cwd, ...this.dirStack];
+
+        if (verbose) {
+            return stack.map((path, index) => ` ${String(index).padStart(2)}  ${path}`).join('\n');
+        }
+
+        return stack.join(' ');
+    }
+
+    /**
+     * Command: pushd - Push the current directory and change to path.
+     * Without a path, swaps the current directory with the top of the stack.
+     */
+    cmdPushd(args, input, { args: { path } }) {
+        if (path === null) {
+            if (this.dirStack.length === 0) {
+                throw new Error('pushd: no other directory');
+            }
+
+            const top = this.dirStack[0];
+            this.dirStack[0] = this.cwd;
+            this._changeDirectory(top);
+        } else {
+            const node = this._resolveDirectory('pushd', path);
+            this.dirStack.unshift(this.cwd);
+            this._changeDirectory(node.path);
+        }
+
+        return { output: this._formatDirStack() };
+    }
+
+    /**
+     * Command: popd - Return to the directory on top of the stack
+     */
+    cmdPopd() {
+        if (this.dirStack.length === 0) {
+            throw new Error('popd: directory stack empty');
+        }
+
+        this._changeDirectory(this.dirStack.shift());
+        return { output: this._formatDirStack() };
+    }
+
+    /**
+     * Command: dirs - Show the directory stack (-v numbered, -c clear)
+     */
+    cmdDirs(args, input, { flags }) {
+        if (flags.c) {
+            this.dirStack = [];
+            return { output: '' };
+        }
+
+        return { output: this._formatDirStack(flags.v) };
+    }
+
+    /**
+     * Command: z - Jump to the best match among visited directories,
+     * ranked by frecency. Directories never visited are matched as a
+     * fallback, shortest path first; subsequence matches are only tried
+     * when nothing contains the fragments. Without arguments, lists the
+     * ranking.
+     */
+    cmdZ(args, input, { operands }) {
+        if (operands.length === 0) {
+            const ranked = this._rankVisitedDirectories([], false);
+
+            if (ranked.length === 0) {
+                return { output: 'No directories visited yet' };
+            }
+
+            const lines = ranked.map(({ path, score }) => `${score.toFixed(1).padStart(8)}  ${path}`);
+            return { output: lines.join('\n') };
+        }
+
+        const directories = this.vfs.find('/', { type: 'directory' })
+            .map(node => node.path)
+            .sort((a, b) => a.length - b.length);
+
+        let candidates = [];
+        for (const fuzzy of [false, true]) {
+            candidates = this._rankVisitedDirectories(operands, fuzzy).map(({ path }) => path);
+
+            if (candidates.length === 0) {
+                candidates = directories.filter(path => matchesFragments(path, operands, { fuzzy }));
+            }
+
+            if (candidates.length > 0) break;
+        }
+
+        // Prefer moving somewhere new over staying put
+        const target = candidates.find(path => path !== this.cwd) || candidates[0];
+
+        if (!target) {
+            throw new Error(`z: no match for: ${operands.join(' ')}`);
+        }
+
+        this._changeDirectory(target);
+        return { output: `Changed directory to ${this.cwd}` };
+    }
+
+    /**
+     * Rank visited directories, forgetting any that no longer exist
+     * @private
+     */
+    _rankVisitedDirectories(fragments, fuzzy) {
+        return this.frecency.rank(fragments, { fuzzy }).filter(({ path }) => {
+            const node = this.vfs.resolvePath(path);
+            if (node && node.type === 'directory') {
+                return true;
+            }
+
+            this.frecency.remove(path);
+            return false;
+        });
+    }
+
+    /**
+     * Command: read - Read file contents
+     */
+    cmdRead(args, input, { operands }) {
+        if (operands.length === 1) {
+            return { output: this.vfs.readFile(operands[0], this.cwd).replace(/\n$/, '') };
+        }
+
+        // Several files (e.g. from a glob): one headed section per file
+        const out = new OutputBuilder();
+
+        operands.forEach((path, index) => {
+            const node = this.vfs.resolvePath(path, this.cwd);
+            const content = this.vfs.readFile(path, this.cwd).replace(/\n$/, '');
+
+            if (index > 0) {
+                out.newline().newline();
+            }
+            out.text(`==> ${node ? node.path : path} <==`, { style: 'emphasis' }).newline().text(content);
+        });
+
+        return out.build();
+    }
+
+    /**
+     * Command: less - Show files or piped input in the pager
+     */
+    cmdLess(args, input, options) {
+        if (options.operands.length > 0) {
+            return { ...this.cmdRead(args, input, options), pager: 'always' };
+        }
+
+        if (input === null) {
+            throw new Error('less requires piped input or a file path (e.g. help | less)');
+        }
+
+        return { output: input, pager: 'always' };
+    }
+
+    /**
+     * Command: tree - Display tree structure
+     */
+    cmdTree(args, input, { args: { path, depth } }) {
+        try {
+            const tree = this.vfs.getTree(path, depth, this.cwd);
+            return { output: tree };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Command: search - Search content
+     *
+     * By default results are ranked files (BM25); quoted arguments are
+     * matched as phrases. -g switches to line-by-line grep mode, which
+     * -E (regular expression) and -s (case-sensitive) imply.
+     * -m N caps the number of files (ranked) or matching lines (grep).
+     */
+    cmdSearch(args, input, { flags, args: { terms } }) {
+        const options = {
+            grep: flags.g || flags.E || flags.s,
+            regex: flags.E,
+            ignoreCase: !flags.s,
+            max: flags.m
+        };
+
+        return options.grep
+            ? this._searchLines(terms.join(' '), options)
+            : this._searchRanked(terms, options);
+    }
+
+    /**
+     * Ranked search: one result per file, best match first
+     * @private
+     */
+    _searchRanked(terms, options) {
+        // Arguments that contained spaces were quoted - search them as phrases
+        const query = terms
+            .map(term => /\s/.test(term) && !term.includes('"') ? `"${term}"` : term)
+            .join(' ');
+        const keyword = terms.join(' ');
+        const results = this.vfs.search(query, { limit: options.max || 10 });
+
+        if (results.length === 0) {
+            return new OutputBuilder().text(`No results found for: ${keyword}`, { style: 'warning' }).build();
+        }
+
+        const out = new OutputBuilder().text(`Found ${results.length} result(s) for: ${keyword}`).newline();
+
+        results.forEach((result, i) => {
+            const counts = Object.entries(result.matches)
+                .map(([term, count]) => `${term}: ${count}`)
+                .join(', ');
+
+            if (i > 0) {
+                out.newline();
+            }
+
+            out.newline()
+                .text(`[${i + 1}] `)
+                .text(result.path, { action: this._getPathAction(result.path) })
+                .text(`  (score ${result.score.toFixed(2)}; ${counts})`, { style: 'muted' })
+                .newline()
+                .text('    ')
+                .highlighted(result.snippet, result.spans);
+        });
+
+        return out.build();
+    }
+
+    /**
+     * Grep-style search: every matching line with its line number
+     * @private
+     */
+    _searchLines(keyword, options) {
+        const maxResults = options.max || 50;
+        const { files, matchCount, truncated } = this.vfs.grep(keyword, {
+            regex: options.regex,
+            ignoreCase: options.ignoreCase,
+            maxResults
+        });
+
+        if (files.length === 0) {
+            return new OutputBuilder().text(`No results found for: ${keyword}`, { style: 'warning' }).build();
+        }
+
+        const out = new OutputBuilder().text(`Found ${matchCount} match(es) in ${files.length} file(s) for: ${keyword}`);
+
+        files.forEach(file => {
+            out.newline().newline().text(file.path, { action: this._getPathAction(file.path) });
+
+            const width = String(file.matches[file.matches.length - 1].line).length;
+            file.matches.forEach(match => {
+                out.newline()
+                    .text(`  ${String(match.line).padStart(width)}: `, { style: 'muted' })
+                    .highlighted(match.text, match.spans);
+            });
+        });
+
+        if (truncated) {
+            out.newline().newline().text(`(showing first ${maxResults} matches - use -m N to see more)`, { style: 'muted' });
+        }
+
+        return out.build();
+    }
+
+    /**
+     * Command: find - Find nodes by name glob, type and depth
+     */
+    cmdFind(args, input, { flags, operands }) {
+        const paths = operands.length > 0 ? operands : ['.'];
+        const options = {};
+
+        if (flags.name !== null || flags.iname !== null) {
+            options.name = flags.iname ?? flags.name;
+            options.ignoreCase = flags.iname !== null;
+        }
+        if (flags.type !== null) {
+            options.type = flags.type === 'f' ? 'file' : 'directory';
+        }
+        if (flags.maxdepth !== null) {
+            options.maxDepth = flags.maxdepth;
+        }
+
+        const rows = [];
+        paths.forEach(path => {
+            this.vfs.find(path, options, this.cwd).forEach(node => {
+                rows.push([{ text: node.path, action: this._getPathAction(node.path) }]);
+            });
+        });
+
+        return new OutputBuilder().table(rows).build();
+    }
+
+    /**
+     * Command: grep - Filter lines matching a pattern
+     */
+    cmdGrep(args, input, { flags, args: { pattern, path } }) {
+        const text = this._getFilterInput('grep', path, input);
+        const needle = flags.i ? pattern.toLowerCase() : pattern;
+
+        const lines = [];
+        this._toLines(text).forEach((line, i) => {
+            const haystack = flags.i ? line.toLowerCase() : line;
+            const matches = haystack.includes(needle);
+
+            if (matches !== flags.v) {
+                lines.push(flags.n ? `${i + 1}:${line}` : line);
+            }
+        });
+
+        return { output: lines.join('\n') };
+    }
+
+    /**
+     * Command: head - Output the first lines of input
+     */
+    cmdHead(args, input, { flags, operands }) {
+        const lines = this._toLines(this._getFilterInput('head', operands, input));
+
+        return { output: lines.slice(0, flags.n).join('\n') };
+    }
+
+    /**
+     * Command: tail - Output the last lines of input
+     */
+    cmdTail(args, input, { flags, operands }) {
+        const lines = this._toLines(this._getFilterInput('tail', operands, input));
+
+        return { output: flags.n === 0 ? '' : lines.slice(-flags.n).join('\n') };
+    }
+
+    /**
+     * Command: wc - Count lines, words and characters
+     */
+    cmdWc(args, input, { flags, operands }) {
+        const text = this._getFilterInput('wc', operands, input);
+
+        const counts = {
+            l: this._toLines(text).length,
+            w: text.split(/\s+/).filter(word => word.length > 0).length,
+            c: text.length
+        };
+
+        const selected = ['l', 'w', 'c'].filter(flag => flags[flag]);
+        if (selected.length === 0) {
+            selected.push('l', 'w', 'c');
+        }
+
+        return { output: selected.map(flag => counts[flag]).join(' ') };
+    }
+
+    /**
+     * Command: sort - Sort lines
+     */
+    cmdSort(args, input, { flags, operands }) {
+        const lines = this._toLines(this._getFilterInput('sort', operands, input));
+
+        const compare = flags.n
+            ? (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0)
+            : (a, b) => a.localeCompare(b);
+
+        lines.sort(compare);
+        if (flags.r) {
+            lines.reverse();
+        }
+
+        return { output: lines.join('\n') };
+    }
+
+    /**
+     * Command: uniq - Collapse adjacent duplicate lines
+     */
+    cmdUniq(args, input, { flags, operands }) {
+        const lines = this._toLines(this._getFilterInput('uniq', operands, input));
+
+        const groups = [];
+        lines.forEach(line => {
+            const last = groups[groups.length - 1];
+            if (last && last.line === line) {
+                last.count++;
+            } else {
+                groups.push({ line, count: 1 });
+            }
+        });
+
+        const output = groups.map(({ line, count }) => {
+            return flags.c ? `${String(count).padStart(4)} ${line}` : line;
+        });
+
+        return { output: output.join('\n') };
+    }
+
+    /**
+     * Command: history - Show or clear command history
+     */
+    cmdHistory(args, input, { flags, args: { N: count } }) {
+        if (flags.c) {
+            this.history.clear();
+            return { output: '' };
+        }
+
+        const entries = this.history.getAll();
+        const start = count === null ? 0 : Math.max(0, entries.length - count);
+
+        const width = String(entries.length).length;
+        const lines = entries.slice(start).map((entry, i) => {
+            return `  ${String(start + i + 1).padStart(width)}  ${entry}`;
+        });
 
-        // Command handlers
-        this.commands = {
-            'list': this.cmdList.bind(this),
-            'open': this.cmdOpen.bind(this),
-            'read': this.cmdRead.bind(this),
-            'tree': this.cmdTree.bind(this),
-            'search': this.cmdSearch.bind(this),
-            'help': this.cmdHelp.bind(this),
-            'clear': this.cmdClear.bind(this),
-            'cwd': this.cmdCwd.bind(this),
-            'exit': this.cmdExit.bind(this)
-        };
+        return { output: lines.join('\n') };
     }
 
     /**
-     * Parse and execute a command
-     * @param {string} input - Raw command input
-     * @returns {Object} Command result with output and metadata
+     * Command: help - Display help information, or a command's manual
      */
-    execute(input) {
-        if (!input || input.trim().length === 0) {
-            return { output: '', error: false };
+    cmdHelp(args, input, { args: { command } }) {
+        if (command !== null) {
+            return this._formatManual('help', command);
         }
 
-        const trimmed = input.trim();
-        this.history.push(trimmed);
+        const sections = new Map();
 
-        // Check for shell features that are not supported
-        if (this._containsShellFeatures(trimmed)) {
-            return {
-                output: 'Error: shell features are not supported. This console exposes a read-only portfolio system.',
-                error: true
-            };
-        }
+        Object.values(this.commands).forEach(definition => {
+            if (!sections.has(definition.section)) {
+                sections.set(definition.section, []);
+            }
+            sections.get(definition.section).push(this._formatHelpEntry(definition));
+        });
 
-        const { command, args } = this._parseCommand(trimmed);
+        const commandHelp = [...sections]
+            .map(([title, entries]) => `${title}:\n${entries.join('\n')}`)
+            .join('\n\n');
 
-        // Resolve alias
-        const canonicalCommand = this.aliases[command] || command;
+        const helpText = `Console Mode - Available Commands
+Type 'man <command>' for a command's options and examples.
 
-        // Check if command exists
-        if (!this.commands[canonicalCommand]) {
-            return {
-                output: `Error: unknown command: ${command}. Type 'help' for available commands.`,
-                error: true
-            };
-        }
+${commandHelp}
 
-        try {
-            const result = this.commands[canonicalCommand](args);
-            return {
-                output: result.output || '',
-                error: false,
-                navigation: result.navigation || null,
-                exit: result.exit || false
-            };
-        } catch (error) {
-            return {
-                output: `Error: ${error.message}`,
-                error: true
-            };
-        }
+VARIABLES:
+  $NAME, \${NAME}       Expand a variable in any argument ($? is the
+                       status of the last command: 0 or 1)
+  Built in: PWD, OLDPWD, HOME, USER, PROJECT (project open on the page)
+
+PIPELINES & CHAINING:
+  cmd | filter         Feed output of cmd into filter
+  cmd1 ; cmd2          Run cmd1, then cmd2
+  cmd1 && cmd2         Run cmd2 only if cmd1 succeeds
+  cmd1 || cmd2         Run cmd2 only if cmd1 fails
+  e.g. read /projects/diatadmin/decisions.log | grep -i branch | head -n 3
+
+REDIRECTION (into /home/guest and /tmp only):
+  cmd > file           Write the output of cmd to file
+  cmd >> file          Add the output of cmd to the end of file
+  e.g. grep -i react /projects/*/overview > /tmp/react.txt
+
+HISTORY EXPANSION:
+  !!                   Previous command
+  !n                   Command number n (see 'history')
+  !-n                  Command n entries back
+
+QUOTING:
+  'text'               Literal text, no escapes or variables
+  "text"               Text with variables and \\", \\\\, \\$ escapes
+  \\x                   Escape a single character (e.g. my\\ file)
+
+PATH NOTATION:
+  /                    Root directory
+  .                    Current directory
+  ..                   Parent directory
+  /absolute/path       Absolute path from root
+  relative/path        Relative to current directory
+
+GLOBS (unquoted, expanded to matching paths):
+  *  ?  [abc]  [!abc]   Any text, one character, one of / none of a set
+  **                   Any number of directories
+  e.g. read /projects/*/impact, list /projects/**/attachments
+  Not applied to search, find, grep and z, whose arguments are patterns.
+
+FILESYSTEM STRUCTURE:
+  /base/               About, stack, education, focus, contact, resume
+  /projects/           Project directories
+  /meta/               System information
+  /home/guest/         Your files, saved in this browser ($HOME)
+  /tmp/                Scratch files, also saved in this browser
+
+KEYBOARD SHORTCUTS:
+  Ctrl+\`               Toggle console
+  Ctrl+L               Clear screen
+  Esc                  Close console
+  ↑/↓                  Navigate command history
+  Ctrl+R               Reverse search command history
+  Tab / Shift+Tab      Autocomplete, cycle through matches
+  →                    Accept inline suggestion
+  Enter (empty)        Run the suggested correction after a typo
+  Ctrl+C               Cancel the current line
+
+LINE EDITING:
+  Ctrl+A / Ctrl+E      Start / end of line
+  Alt+B / Alt+F        Previous / next word
+  Ctrl+U / Ctrl+K      Cut to start / end of line
+  Ctrl+W               Cut previous word (also Alt+Backspace)
+  Alt+D                Cut next word
+  Ctrl+Y / Alt+Y       Paste last cut / cycle through earlier cuts
+
+PAGER (long output, less):
+  Space / b            Next / previous page
+  j / k                Next / previous line
+  g / G                Top / bottom
+  /text, n / N         Search, next / previous match
+  q                    Quit
+  cmd --no-pager       Print long output instead of paging it
+
+NOTE: Everything outside /home/guest and /tmp is read-only. Command
+substitution is not supported; variables only live for the session.`;
+
+        // Title and section headings
+        const spans = [];
+        helpText.split('\n').forEach((line, index) => {
+            if (index === 0 || /^[A-Z][A-Z &]+.*:$/.test(line)) {
+                spans.push({ line: index, start: 0, end: line.length, style: 'emphasis' });
+            }
+        });
+
+        return { output: helpText, spans };
     }
 
     /**
-     * Parse command string into command and arguments
+     * Format a command's help entry: usage lines, then the description
+     * aligned in the second column
      * @private
      */
-    _parseCommand(input) {
-        const parts = input.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
-        const command = parts[0] || '';
-        const args = parts.slice(1).map(arg => arg.replace(/^"|"$/g, ''));
+    _formatHelpEntry({ usage, description, aliases }) {
+        const usages = usage.split('\n');
+        const lines = description.split('\n');
 
-        return { command, args };
+        if (aliases.length > 0) {
+            lines[0] += ` (alias: ${aliases.join(', ')})`;
+        }
+
+        const indent = ' '.repeat(23);
+        const output = usages.map(line => `  ${line}`);
+
+        // A short single usage shares its line with the description
+        if (usages.length === 1 && usage.length < 20) {
+            output[0] = `  ${usage.padEnd(20)} ${lines.shift()}`;
+        }
+
+        return [...output, ...lines.map(line => indent + line)].join('\n');
     }
 
     /**
-     * Check if input contains unsupported shell features
-     * @private
+     * Command: man - Show a command's manual page
      */
-    _containsShellFeatures(input) {
-        const shellFeatures = ['|', '>', '<', '&&', '||', ';', '`', '$'];
-        return shellFeatures.some(feature => input.includes(feature));
+    cmdMan(args, input, { args: { command } }) {
+        return this._formatManual('man', command);
     }
 
     /**
-     * Command: list - List directory contents
+     * Format a manual page from a command's declarations
+     * @private
+     * @param {string} caller - Command asking, for error messages
+     * @param {string} name - Command, built-in alias or user alias
+     * @returns {Object} { output, spans }
      */
-    cmdList(args) {
-        const path = args[0] || '.';
+    _formatManual(caller, name) {
+        const definition = this.commands[this.aliases[name] || name];
 
-        try {
-            const entries = this.vfs.listDirectory(path, this.cwd);
-
-            if (entries.length === 0) {
-                return { output: '(empty directory)' };
+        if (!definition) {
+            const alias = this.userAliases.get(name);
+            if (alias !== null) {
+                return { output: `${name} is an alias for '${alias}'` };
             }
 
-            const lines = entries.map(entry => {
-                const suffix = entry.type === 'directory' ? '/' : '';
-                return `${entry.name}${suffix}`;
-            });
-
-            return { output: lines.join('\n') };
-        } catch (error) {
-            throw error;
+            const suggestions = closestMatches(name, this._getCommandNames());
+            const hint = suggestions.length > 0 ? ` ${formatSuggestions(suggestions)}` : '';
+            throw new Error(`${caller}: no manual entry for ${name}.${hint}`);
         }
-    }
 
-    /**
-     * Command: open - Navigate to path or open file
-     */
-    cmdOpen(args) {
-        if (args.length === 0) {
-            return { output: `Current directory: ${this.cwd}` };
+        const indent = '    ';
+        const [summary, ...more] = definition.description.split('\n');
+        const sections = [
+            ['NAME', [`${definition.name} - ${summary || definition.name}`]],
+            ['SYNOPSIS', definition.usage.split('\n')]
+        ];
+
+        const description = definition.details || more.join(' ');
+        if (description) {
+            sections.push(['DESCRIPTION', this._wrapText(description, 72 - indent.length)]);
         }
 
-        const path = args[0];
+        // Option and argument names in one column, descriptions in another
+        const table = rows => {
+            const width = Math.max(...rows.map(([label]) => label.length));
+            return rows.map(([label, text]) => `${label.padEnd(width)}  ${text || ''}`.trimEnd());
+        };
 
-        try {
-            const node = this.vfs.resolvePath(path, this.cwd);
+        if (definition.flags.length > 0) {
+            sections.push(['OPTIONS', table(definition.flags.map(spec => [formatFlag(spec), spec.description]))]);
+        }
 
-            if (!node) {
-                throw new Error(`path not found: ${path}`);
-            }
+        const args = (definition.args || []).filter(spec => spec.description);
+        if (args.length > 0) {
+            sections.push(['ARGUMENTS', table(args.map(spec => [spec.name, spec.description]))]);
+        }
 
-            if (node.type === 'directory') {
-                // Change directory
-                this.cwd = node.path;
-                return { output: `Changed directory to ${this.cwd}` };
-            } else {
-                // File - check if it's a project file or special file
-                const projectId = this.vfs.getProjectIdFromPath(node.path);
+        if (definition.aliases.length > 0) {
+            sections.push(['ALIASES', [definition.aliases.join(', ')]]);
+        }
 
-                if (projectId) {
-                    return {
-                        output: `Opening project: ${node.path}`,
-                        navigation: {
-                            type: 'project',
-                            projectId: projectId
-                        }
-                    };
-                } else if (node.url) {
-                    return {
-                        output: `Opening: ${node.path}`,
-                        navigation: {
-                            type: 'url',
-                            url: node.url
-                        }
-                    };
-                } else {
-                    // Just display the file
-                    return {
-                        output: node.content || '(empty file)'
-                    };
-                }
-            }
-        } catch (error) {
-            throw error;
+        if (definition.examples.length > 0) {
+            sections.push(['EXAMPLES', definition.examples]);
         }
+
+        const out = new OutputBuilder();
+        sections.forEach(([title, lines], index) => {
+            if (index > 0) {
+                out.newline().newline();
+            }
+            out.text(title, { style: 'emphasis' });
+            lines.forEach(line => out.newline().text(indent + line));
+        });
+
+        return out.build();
     }
 
     /**
-     * Command: read - Read file contents
+     * Wrap text into lines of at most `width` characters
+     * @private
      */
-    cmdRead(args) {
-        if (args.length === 0) {
-            throw new Error('read requires a file path');
-        }
+    _wrapText(text, width) {
+        const lines = [];
+        let line = '';
 
-        const path = args[0];
+        text.split(/\s+/).forEach(word => {
+            if (line && line.length + word.length + 1 > width) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
 
-        try {
-            const content = this.vfs.readFile(path, this.cwd);
-            return { output: content };
-        } catch (error) {
-            throw error;
+        if (line) {
+            lines.push(line);
         }
+
+        return lines;
     }
 
     /**
-     * Command: tree - Display tree structure
+     * Command: alias - Define or show aliases. An alias replaces the
+     * command name it stands for before the input is parsed, so its
+     * value may contain arguments, pipes and chains.
      */
-    cmdTree(args) {
-        const path = args[0] || '.';
-        const depth = args[1] ? parseInt(args[1], 10) : 3;
+    cmdAlias(args, input, { operands }) {
+        const aliases = this.userAliases.getAll();
+        const format = name => `alias ${name}='${aliases[name].replace(/'/g, "'\\''")}'`;
 
-        if (isNaN(depth) || depth < 1) {
-            throw new Error('tree depth must be a positive number');
+        if (operands.length === 0) {
+            return { output: Object.keys(aliases).sort().map(format).join('\n') };
         }
 
-        try {
-            const tree = this.vfs.getTree(path, depth, this.cwd);
-            return { output: tree };
-        } catch (error) {
-            throw error;
-        }
+        const lines = [];
+
+        operands.forEach(arg => {
+            const separator = arg.indexOf('=');
+
+            if (separator === -1) {
+                if (!(arg in aliases)) {
+                    throw new Error(`alias: ${arg}: not found`);
+                }
+                lines.push(format(arg));
+                return;
+            }
+
+            const name = arg.slice(0, separator);
+            if (!/^[\w.-]+$/.test(name)) {
+                throw new Error(`alias: invalid alias name: ${name}`);
+            }
+
+            // The value runs as a command line, so it must parse as one
+            const value = arg.slice(separator + 1);
+            try {
+                this.shell.parse(value);
+            } catch (error) {
+                throw new Error(`alias: ${name}: ${error.message}`);
+            }
+
+            this.userAliases.set(name, value);
+            aliases[name] = value;
+        });
+
+        return { output: lines.join('\n') };
     }
 
     /**
-     * Command: search - Search for keyword
+     * Command: unalias - Remove aliases (-a removes all)
      */
-    cmdSearch(args) {
-        if (args.length === 0) {
-            throw new Error('search requires a keyword');
+    cmdUnalias(args, input, { flags, operands }) {
+        if (flags.a) {
+            this.userAliases.clear();
+            return { output: '' };
         }
 
-        const keyword = args.join(' ');
-
-        try {
-            const results = this.vfs.search(keyword);
+        if (operands.length === 0) {
+            throw new Error('unalias requires an alias name');
+        }
 
-            if (results.length === 0) {
-                return { output: `No results found for: ${keyword}` };
+        operands.forEach(name => {
+            if (!this.userAliases.remove(name)) {
+                throw new Error(`unalias: ${name}: not found`);
             }
+        });
 
-            const lines = [`Found ${results.length} result(s) for: ${keyword}\n`];
+        return { output: '' };
+    }
 
-            results.forEach((result, i) => {
-                lines.push(`[${i + 1}] ${result.path}`);
-                lines.push(`    ${result.snippet}`);
-                if (i < results.length - 1) {
-                    lines.push('');
-                }
-            });
+    /**
+     * Command: clear - Clear console
+     */
+    cmdClear(args) {
+        return {
+            output: '',
+            clear: true
+        };
+    }
 
-            return { output: lines.join('\n') };
-        } catch (error) {
-            throw error;
-        }
+    /**
+     * Get the session environment, including the derived variables
+     * @returns {Object} Variables by name
+     */
+    getEnv() {
+        return {
+            ...this.env,
+            PWD: this.cwd,
+            OLDPWD: this.previousCwd || '',
+            '?': String(this.status)
+        };
     }
 
     /**
-     * Command: help - Display help information
+     * Set a session variable
+     * @param {string} name - Variable name
+     * @param {string} value - Value
      */
-    cmdHelp(args) {
-        const helpText = `Console Mode - Available Commands
+    setEnv(name, value) {
+        this._checkVariableName('export', name);
+        this.env[name] = String(value);
+    }
 
-NAVIGATION:
-  list [path]          List directory contents (alias: ls, dir)
-  open <path>          Navigate to directory or open file (alias: cd)
-  cwd                  Show current working directory (alias: pwd)
+    /**
+     * Reject invalid and derived variable names
+     * @private
+     */
+    _checkVariableName(command, name) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`${command}: not a valid identifier: ${name}`);
+        }
 
-FILE OPERATIONS:
-  read <path>          Read file contents (alias: cat)
-  tree [path] [depth]  Display tree structure (default depth: 3)
+        if (name === 'PWD' || name === 'OLDPWD') {
+            throw new Error(`${command}: ${name}: read-only variable (use open/cd)`);
+        }
+    }
 
-SEARCH:
-  search <keyword>     Search for keyword across all content
+    /**
+     * Command: env - Print the environment
+     */
+    cmdEnv() {
+        const env = this.getEnv();
+        delete env['?'];
 
-UTILITY:
-  help                 Display this help message
-  clear                Clear console output
-  exit                 Close console (alias: quit)
+        const lines = Object.keys(env).sort().map(name => `${name}=${env[name]}`);
+        return { output: lines.join('\n') };
+    }
 
-PATH NOTATION:
-  /                    Root directory
-  .                    Current directory
-  ..                   Parent directory
-  /absolute/path       Absolute path from root
-  relative/path        Relative to current directory
+    /**
+     * Command: export - Set session variables (NAME=value). Without
+     * arguments, prints the environment.
+     */
+    cmdExport(args, input, { operands }) {
+        if (operands.length === 0) {
+            return this.cmdEnv();
+        }
 
-FILESYSTEM STRUCTURE:
-  /base/               About, contact, resume
-  /projects/           Project directories
-  /meta/               System information
+        operands.forEach(arg => {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg : arg.slice(0, separator);
+            const value = separator === -1 ? this.env[name] ?? '' : arg.slice(separator + 1);
 
-KEYBOARD SHORTCUTS:
-  Ctrl+\`               Toggle console
-  Ctrl+L               Clear screen
-  Esc                  Close console
-  ↑/↓                  Navigate command history
-  Tab                  Autocomplete (coming soon)
+            this.setEnv(name, value);
+        });
+
+        return { output: '' };
+    }
+
+    /**
+     * Command: unset - Remove session variables
+     */
+    cmdUnset(args, input, { operands }) {
+        if (operands.length === 0) {
+            throw new Error('unset requires a variable name');
+        }
 
-NOTE: This is a read-only portfolio system. Shell features like pipes,
-redirection, and command chaining are not supported.`;
+        operands.forEach(name => {
+            this._checkVariableName('unset', name);
+            delete this.env[name];
+        });
 
-        return { output: helpText };
+        return { output: '' };
     }
 
     /**
-     * Command: clear - Clear console
+     * Command: echo - Print arguments
      */
-    cmdClear(args) {
-        return {
-            output: '',
-            clear: true
-        };
+    cmdEcho(args) {
+        return { output: args.join(' ') };
     }
 
     /**
@@ -338,7 +2182,7 @@ redirection, and command chaining are not supported.`;
      * Get command history
      */
     getHistory() {
-        return [...this.history];
+        return this.history.getAll();
     }
 
     /**
@@ -362,6 +2206,92 @@ redirection, and command chaining are not supported.`;
         return false;
     }
 
+    /**
+     * Get completions for the word under the cursor.
+     *
+     * Completion depends on the command being typed: commands and aliases
+     * for the first word, directories for list/open, files for read and
+     * depth values for the second argument of tree.
+     *
+     * @param {string} input - Current input line
+     * @param {number} cursor - Cursor position (defaults to end of input)
+     * @returns {Object} { start, end, word, candidates } where candidates
+     *   replace input.slice(start, end). Directory candidates end with '/'.
+     */
+    getCompletions(input, cursor = input.length) {
+        const empty = { start: cursor, end: cursor, word: '', candidates: [] };
+        const before = input.slice(0, cursor);
+
+        let tokens;
+        try {
+            tokens = this.shell.tokenize(before, { lenient: true });
+        } catch (error) {
+            return empty;
+        }
+
+        // Only the command being typed matters; > and >> stay part of it
+        const lastOperator = tokens
+            .map(token => token.type === 'operator' && !REDIRECTIONS.includes(token.value))
+            .lastIndexOf(true);
+        const command = tokens.slice(lastOperator + 1);
+
+        // The cursor is either at the end of a word or starts a new one
+        const last = command[command.length - 1];
+        const current = last && last.type === 'word' && last.end === before.length ? command.pop() : null;
+        const word = current ? current.value : '';
+        const start = current ? current.start : cursor;
+
+        // Redirection targets are not arguments of the command
+        const redirecting = command.length > 0 && command[command.length - 1].type === 'operator';
+        const words = command.filter((token, index) => {
+            return token.type === 'word' && !(index > 0 && command[index - 1].type === 'operator');
+        });
+
+        // $NA -> $NAME; inserted as typed since the '$' must not be escaped
+        const variable = word.match(/^\$(\{?)([A-Za-z_][A-Za-z0-9_]*)?$/);
+        if (variable) {
+            const [, brace, name = ''] = variable;
+            const candidates = Object.keys(this.getEnv())
+                .filter(key => key.startsWith(name) && key !== '?')
+                .sort()
+                .map(key => brace ? `\${${key}}` : `$${key}`);
+
+            return { start, end: cursor, word, candidates };
+        }
+
+        let candidates;
+        if (redirecting) {
+            candidates = this._getPathSuggestions(word);
+        } else if (words.length === 0) {
+            candidates = this._getCommandSuggestions(word);
+        } else {
+            // Complete a user alias's arguments as those of the command it runs
+            let expanded;
+            try {
+                expanded = this.shell.tokenize(this._expandAliases(words[0].value), { lenient: true })
+                    .filter(token => token.type === 'word')
+                    .map(token => token.value);
+            } catch (error) {
+                expanded = null;
+            }
+
+            if (expanded) {
+                const command = this.aliases[expanded[0]] || expanded[0];
+                const args = [...expanded.slice(1), ...words.slice(1).map(token => token.value)];
+                candidates = this._getArgumentSuggestions(command, args, word);
+            } else {
+                candidates = [];
+            }
+        }
+
+        return {
+            start,
+            end: cursor,
+            word,
+            candidates: candidates.map(candidate => this._escapeWord(candidate))
+        };
+    }
+
     /**
      * Get autocomplete suggestions for partial input
      * @param {string} partial - Partial command or path
@@ -372,40 +2302,94 @@ redirection, and command chaining are not supported.`;
             return [];
         }
 
-        const trimmed = partial.trim();
-        const { command, args } = this._parseCommand(trimmed);
+        return this.getCompletions(partial).candidates;
+    }
+
+    /**
+     * Names that can start a command: commands, built-in and user aliases
+     * @private
+     */
+    _getCommandNames() {
+        return [
+            ...Object.keys(this.commands),
+            ...Object.keys(this.aliases),
+            ...Object.keys(this.userAliases.getAll())
+        ];
+    }
+
+    /**
+     * Suggest command names and aliases
+     * @private
+     */
+    _getCommandSuggestions(prefix) {
+        return [...new Set(this._getCommandNames())]
+            .filter(cmd => cmd.startsWith(prefix))
+            .sort();
+    }
+
+    /**
+     * Suggest values for an argument of a command: the choices of the
+     * flag it is the value of, the command's flags for a '-' argument,
+     * otherwise whatever the command's complete() returns (paths by
+     * default)
+     * @private
+     * @param {string} command - Canonical command name
+     * @param {Array<string>} args - Arguments before the one being completed
+     * @param {string} prefix - Partially typed argument
+     */
+    _getArgumentSuggestions(command, args, prefix) {
+        const definition = this.commands[command];
+
+        if (!definition) {
+            return [];
+        }
+
+        const previous = args[args.length - 1];
+        const option = definition.flags.find(spec => spec.value && spec.flag === previous);
+        if (option) {
+            return (option.choices || []).filter(choice => choice.startsWith(prefix));
+        }
 
-        // If no space, suggest commands
-        if (args.length === 0 && !trimmed.endsWith(' ')) {
-            const allCommands = [...Object.keys(this.commands), ...Object.keys(this.aliases)];
-            return allCommands
-                .filter(cmd => cmd.startsWith(command))
+        if (prefix.startsWith('-') && definition.flags.length > 0) {
+            return definition.flags
+                .map(({ flag }) => flag)
+                .filter(flag => flag.startsWith(prefix))
                 .sort();
         }
 
-        // If command is complete, suggest paths
-        const canonicalCommand = this.aliases[command] || command;
-        if (this.commands[canonicalCommand]) {
-            const pathPrefix = args[args.length - 1] || '';
-            return this._getPathSuggestions(pathPrefix);
+        if (definition.complete) {
+            return definition.complete(args, prefix, this);
         }
 
-        return [];
+        return this._getPathSuggestions(prefix);
+    }
+
+    /**
+     * Backslash-escape characters the tokenizer would treat specially
+     * @private
+     */
+    _escapeWord(word) {
+        return word.replace(/[\s'"\\|&;<>`$]/g, '\\$&');
     }
 
     /**
      * Get path suggestions for autocomplete
      * @private
+     * @param {string} prefix - Partially typed path
+     * @param {string} [type] - Restrict to 'file' or 'directory'. When
+     *   completing files, directories are still offered so the path can be
+     *   walked down to the file.
      */
-    _getPathSuggestions(prefix) {
+    _getPathSuggestions(prefix, type = null) {
         try {
             // Determine the directory to search in
             let searchDir = this.cwd;
             let searchPrefix = prefix;
+            let dirPart = '';
 
             if (prefix.includes('/')) {
                 const lastSlash = prefix.lastIndexOf('/');
-                const dirPart = prefix.substring(0, lastSlash + 1);
+                dirPart = prefix.substring(0, lastSlash + 1);
                 searchPrefix = prefix.substring(lastSlash + 1);
 
                 const dirNode = this.vfs.resolvePath(dirPart, this.cwd);
@@ -416,12 +2400,14 @@ redirection, and command chaining are not supported.`;
                 }
             }
 
-            const entries = this.vfs.listDirectory(searchDir, this.cwd);
+            // Hidden entries are only offered once a '.' has been typed
+            const entries = this.vfs.listDirectory(searchDir, this.cwd, { all: searchPrefix.startsWith('.') });
             return entries
                 .filter(entry => entry.name.startsWith(searchPrefix))
+                .filter(entry => type !== 'directory' || entry.type === 'directory')
                 .map(entry => {
                     const suffix = entry.type === 'directory' ? '/' : '';
-                    return entry.name + suffix;
+                    return dirPart + entry.name + suffix;
                 })
                 .sort();
         } catch (error) {
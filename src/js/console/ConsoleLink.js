@@ -0,0 +1,64 @@
+/**
+ * ConsoleLink - Links that open the console and run a command line
+ *
+ * The command line is carried in the URL hash (#console=cd%20/projects/x;read%20impact)
+ * or, where a hash is not possible, in a ?console= query parameter.
+ * Only the read-only commands in LINK_COMMANDS may run from a link, and
+ * their output cannot be redirected, so a link cannot change a visitor's
+ * files, aliases or environment or take them to another page.
+ *
+ * This module has no dependencies, so pages can check for a link
+ * without loading the console.
+ */
+
+const PARAMETER = 'console';
+
+// Commands a link may run (canonical names, see CommandParser)
+export const LINK_COMMANDS = [
+    'open', 'list', 'cwd', 'tree', 'read', 'less', 'stat',
+    'search', 'find', 'grep', 'head', 'tail', 'wc', 'sort', 'uniq',
+    'echo', 'help', 'man', 'clear'
+];
+
+/**
+ * Read the command line from a console link
+ * @param {Location|URL} location - Page address
+ * @returns {string|null} Command line ('' to just open the console), or
+ *   null when the address is not a console link
+ */
+export function readConsoleLink(location) {
+    const prefix = `#${PARAMETER}=`;
+
+    try {
+        if (location.hash.startsWith(prefix)) {
+            return decodeURIComponent(location.hash.slice(prefix.length)).trim();
+        }
+    } catch (error) {
+        // Malformed escape sequence
+        return null;
+    }
+
+    const value = new URLSearchParams(location.search).get(PARAMETER);
+    return value === null ? null : value.trim();
+}
+
+/**
+ * Create a link to the given page that runs a command line
+ * @param {string} commandLine - Command line to run
+ * @param {Location|URL} location - Page to link to
+ * @returns {string} URL
+ */
+export function createConsoleLink(commandLine, location) {
+    const url = new URL(location.href);
+    url.searchParams.delete(PARAMETER);
+
+    // Keep the separators readable; they are valid in a fragment
+    const encoded = encodeURIComponent(commandLine)
+        .replace(/%2F/g, '/')
+        .replace(/%3B/g, ';')
+        .replace(/%3A/g, ':')
+        .replace(/%2C/g, ',');
+
+    url.hash = '';
+    return `${url.href}#${PARAMETER}=${encoded}`;
+}
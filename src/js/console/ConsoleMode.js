@@ -3,13 +3,72 @@
  * 
  * Renders a full-screen terminal interface with:
  * - Command input with prompt
- * - Output area with command history
- * - Keyboard shortcuts (Ctrl+`, Ctrl+L, Esc, ↑/↓, Tab)
+ * - Output area with command history, clickable paths and links
+ * - A less-style pager for long output
+ * - Keyboard shortcuts (Ctrl+`, Ctrl+L, Ctrl+R, Esc, ↑/↓, Tab)
+ * - readline-style line editing with a kill ring (Ctrl+A/E/U/K/W/Y,
+ *   Alt+B/F/D/Y) and Ctrl+C to cancel the line
+ * - Session recording: 'save' downloads a transcript or cast, 'replay'
+ *   plays a cast back with its original timing
+ * - Guided tours ('tour'), played automatically on the first visit
+ * - Console links (#console=...) that run read-only commands on load,
+ *   and 'share' to copy one
+ * - A writable scratch space (/home/guest, /tmp) saved in IndexedDB,
+ *   with a line editor ('edit') that takes over the input while open
+ * - ask() for commands that prompt for several answers, like 'contact'
+ * - Commands that drive the page behind the console (goto, theme,
+ *   highlight), once the page connects with connectHost()
  * - Integration with existing navigation
  */
 
 import { VirtualFileSystem } from './VirtualFileSystem.js';
 import { CommandParser } from './CommandParser.js';
+import { Pager } from './Pager.js';
+import { LineEditor } from './LineEditor.js';
+import { SessionRecorder } from './SessionRecorder.js';
+import { Tour } from './Tour.js';
+import { TOURS } from './tours.js';
+import { LINK_COMMANDS, createConsoleLink } from './ConsoleLink.js';
+import { TextEditor } from './TextEditor.js';
+import { ContactWizard } from './ContactWizard.js';
+import { createHostCommands } from './HostCommands.js';
+import { CONSTANTS } from '../config/constants.js';
+import { IndexedDBProvider } from './providers/IndexedDBProvider.js';
+import vfsSnapshot from 'virtual:vfs-snapshot';
+
+// readline-style bindings by KeyboardEvent.code (layout independent, and
+// Alt+letter types a symbol on macOS). Ctrl+B/F/N/P/T are left out
+// because browsers reserve them; Ctrl+W closes the tab in some
+// browsers, so Alt+Backspace also deletes a word.
+const CTRL_BINDINGS = {
+    KeyA: 'beginning-of-line',
+    KeyE: 'end-of-line',
+    KeyU: 'unix-line-discard',
+    KeyK: 'kill-line',
+    KeyW: 'unix-word-rubout',
+    KeyY: 'yank'
+};
+
+const ALT_BINDINGS = {
+    KeyB: 'backward-word',
+    KeyF: 'forward-word',
+    KeyD: 'kill-word',
+    Backspace: 'backward-kill-word',
+    KeyY: 'yank-pop'
+};
+
+// save formats: file extension and MIME type
+const SAVE_FORMATS = {
+    txt: { extension: '.txt', type: 'text/plain' },
+    md: { extension: '.md', type: 'text/markdown' },
+    cast: { extension: '.cast.json', type: 'application/json' }
+};
+
+// Set once an auto-start tour has been offered, so it only plays once
+const TOUR_SEEN_KEY = 'consoleTourSeen';
+
+// Writable directories, kept in this browser; the first is $HOME
+const SCRATCH_MOUNTS = ['/home/guest', '/tmp'];
 
 export class ConsoleMode {
     constructor() {
@@ -21,18 +80,49 @@ export class ConsoleMode {
         this.inputElement = null;
         this.promptElement = null;
         this.historyIndex = -1;
+        this.reverseSearch = null;
+        this.completion = null;
+        this.ghostElement = null;
+        this.pendingCorrection = null;
+        this.pager = null;
+        this.lineEditor = new LineEditor();
+        this.recorder = new SessionRecorder();
+        this.replay = null;
+        this.tour = null;
+        this.inputMode = null;
+        this.lastCommand = null;
+        this.content = null;
         this.initialized = false;
     }
 
     /**
-     * Initialize console with project data
-     * @param {Array} projectData - Project data from project-data.json
+     * Initialize console.
+     *
+     * The filesystem is hydrated from the snapshot precomputed at build
+     * time. Project data is only used (and fetched if not given) when no
+     * usable snapshot is available.
+     * @param {Array} [projectData] - Project data from project-data.json
      */
-    async initialize(projectData) {
+    async initialize(projectData = null) {
         if (this.initialized) return;
 
-        await this.vfs.initialize(projectData);
+        try {
+            this.vfs.hydrate(vfsSnapshot);
+        } catch (error) {
+            console.warn('Console snapshot unavailable, building filesystem:', error);
+
+            if (!projectData) {
+                const response = await fetch('/project-data.json');
+                projectData = await response.json();
+            }
+            await this.vfs.initialize(projectData);
+        }
+
+        await Promise.all(SCRATCH_MOUNTS.map(path => this.vfs.mount(path, new IndexedDBProvider(path))));
+
         this.parser = new CommandParser(this.vfs);
+        this.parser.setEnv('HOME', SCRATCH_MOUNTS[0]);
+        this._registerSessionCommands();
         this._createUI();
         this._attachEventListeners();
         this.initialized = true;
@@ -54,6 +144,7 @@ export class ConsoleMode {
         // Create console content
         const content = document.createElement('div');
         content.className = 'console-content';
+        this.content = content;
 
         // Create output area
         this.outputArea = document.createElement('div');
@@ -75,14 +166,32 @@ export class ConsoleMode {
         this.inputElement.setAttribute('autocomplete', 'off');
         this.inputElement.setAttribute('spellcheck', 'false');
 
+        // Create inline suggestion ("ghost" text rendered behind the input)
+        const inputWrapper = document.createElement('div');
+        inputWrapper.className = 'console-input-wrapper';
+
+        this.ghostElement = document.createElement('span');
+        this.ghostElement.className = 'console-ghost';
+        this.ghostElement.setAttribute('aria-hidden', 'true');
+
+        inputWrapper.appendChild(this.ghostElement);
+        inputWrapper.appendChild(this.inputElement);
+
         // Assemble input area
         inputArea.appendChild(this.promptElement);
-        inputArea.appendChild(this.inputElement);
+        inputArea.appendChild(inputWrapper);
 
         // Assemble content
         content.appendChild(this.outputArea);
         content.appendChild(inputArea);
 
+        // Pager replaces the output and input while open
+        this.pager = new Pager({
+            renderText: (element, text, spans) => this._appendSpans(element, text, spans),
+            onClose: (lineCount) => this._handlePagerClose(lineCount)
+        });
+        this.pager.mount(content);
+
         // Assemble container
         this.container.appendChild(content);
 
@@ -97,6 +206,17 @@ export class ConsoleMode {
     _attachEventListeners() {
         // Input handling
         this.inputElement.addEventListener('keydown', this._handleKeyDown.bind(this));
+        this.inputElement.addEventListener('input', () => {
+            this.completion = null;
+            this._updateGhost();
+        });
+
+        // The inline suggestion is only shown with the cursor at the end
+        this.inputElement.addEventListener('keyup', (e) => {
+            if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                this._updateGhost();
+            }
+        });
 
         // Click outside to close (on backdrop)
         this.container.addEventListener('click', (e) => {
@@ -104,6 +224,17 @@ export class ConsoleMode {
                 this.hide();
             }
         });
+
+        // Clickable paths in output (or the pager) run their command
+        this.content.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-command]');
+            if (target && !this.replay && !this.tour && !this.inputMode) {
+                this.pager.close();
+                this._runCommand(target.dataset.command);
+                this._scrollToBottom();
+                this.inputElement.focus();
+            }
+        });
     }
 
     /**
@@ -111,6 +242,29 @@ export class ConsoleMode {
      * @private
      */
     _handleKeyDown(e) {
+        if (this.replay) {
+            this._handleReplayKey(e);
+            return;
+        }
+
+        if (this.tour) {
+            this._handleTourKey(e);
+            return;
+        }
+
+        if (this.inputMode) {
+            this._handleInputModeKey(e);
+            return;
+        }
+
+        if (this.reverseSearch && this._handleReverseSearchKey(e)) {
+            return;
+        }
+
+        if (this._handleEditingKey(e)) {
+            return;
+        }
+
         switch (e.key) {
             case 'Enter':
                 e.preventDefault();
@@ -129,68 +283,879 @@ export class ConsoleMode {
 
             case 'Tab':
                 e.preventDefault();
-                this._handleAutocomplete();
+                this._handleAutocomplete(e.shiftKey ? -1 : 1);
+                break;
+
+            case 'ArrowRight':
+            case 'End':
+                if (this._acceptGhost()) {
+                    e.preventDefault();
+                }
+                break;
+
+            case 'l':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this._clearOutput();
+                }
+                break;
+
+            case 'r':
+                if (e.ctrlKey) {
+                    e.preventDefault();
+                    this._startReverseSearch();
+                }
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.hide();
+                break;
+        }
+    }
+
+    /**
+     * Handle readline-style editing keys and Ctrl+C. Cmd (Meta)
+     * combinations are never intercepted so browser shortcuts keep working.
+     * @private
+     * @returns {boolean} True if the key was consumed
+     */
+    _handleEditingKey(e) {
+        if (e.metaKey || e.shiftKey || (e.ctrlKey && e.altKey)) {
+            return false;
+        }
+
+        if (e.ctrlKey && e.code === 'KeyC') {
+            // Ctrl+C still copies when text is selected
+            if (String(window.getSelection()) || this.inputElement.selectionStart !== this.inputElement.selectionEnd) {
+                return false;
+            }
+
+            e.preventDefault();
+            this._cancelLine();
+            return true;
+        }
+
+        const command = e.ctrlKey ? CTRL_BINDINGS[e.code] : e.altKey ? ALT_BINDINGS[e.code] : null;
+        if (!command) {
+            return false;
+        }
+
+        e.preventDefault();
+
+        const input = this.inputElement;
+        const { value, cursor } = this.lineEditor.run(command, { value: input.value, cursor: input.selectionStart });
+
+        input.value = value;
+        input.setSelectionRange(cursor, cursor);
+        this.completion = null;
+        this._updateGhost();
+        return true;
+    }
+
+    /**
+     * Abandon the current line, echoing it with ^C like a shell
+     * @private
+     */
+    _cancelLine() {
+        this._addOutput(`${this.promptElement.textContent}${this.inputElement.value}^C`, false, 'command');
+
+        this.inputElement.value = '';
+        this.historyIndex = -1;
+        this.completion = null;
+        this.pendingCorrection = null;
+        this._updateGhost();
+        this._scrollToBottom();
+
+        if (this.inputMode) {
+            this._endInputMode(true);
+        }
+    }
+
+    /**
+     * Hand the input line to a handler instead of the shell until
+     * _endInputMode(), e.g. for the line editor. Ctrl+C ends the mode.
+     * @private
+     * @param {Object} mode
+     * @param {string} mode.prompt - Prompt to show; may be changed while
+     *   the mode is active
+     * @param {Function} mode.onLine - (line) handles an entered line,
+     *   returning { output, error? } to print, or nothing
+     * @param {Function} [mode.onCancel] - Called when Ctrl+C ends the mode
+     */
+    _startInputMode({ prompt, onLine, onCancel = () => {} }) {
+        this.inputMode = { prompt, onLine, onCancel };
+        this.pendingCorrection = null;
+        this.completion = null;
+        this._updatePrompt();
+        this._updateGhost();
+    }
+
+    /**
+     * Return the input line to the shell
+     * @private
+     * @param {boolean} cancelled - Whether the mode was cancelled
+     */
+    _endInputMode(cancelled) {
+        const mode = this.inputMode;
+        if (!mode) return;
+
+        this.inputMode = null;
+        this._updatePrompt();
+
+        if (cancelled) {
+            mode.onCancel();
+        }
+    }
+
+    /**
+     * Handle keys while an input mode is active: line editing works as
+     * usual, Enter submits the line, and there is no history or completion
+     * @private
+     */
+    _handleInputModeKey(e) {
+        if (this._handleEditingKey(e)) {
+            return;
+        }
+
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this._submitInputLine();
+                break;
+
+            case 'Tab':
+                e.preventDefault();
+                break;
+
+            case 'Escape':
+                e.preventDefault();
+                this.hide();
                 break;
+        }
+    }
+
+    /**
+     * Echo and record the input line, and pass it to the input mode
+     * @private
+     */
+    _submitInputLine() {
+        const prompt = this.promptElement.textContent;
+        const line = this.inputElement.value;
+
+        this.inputElement.value = '';
+        this._addOutput(`${prompt}${line}`, false, 'command');
+
+        const result = this.inputMode.onLine(line) || { output: '' };
+        this._recordCommand(prompt, line, result);
+
+        if (result.output) {
+            this._addOutput(result.output, result.error);
+        }
+
+        this._updatePrompt();
+        this._scrollToBottom();
+    }
+
+    /**
+     * Start the contact wizard; it keeps the input line until the message
+     * is sent or abandoned
+     * @private
+     */
+    _startContact() {
+        if (this.inputMode) {
+            throw new Error('contact: already waiting for an answer');
+        }
+
+        const wizard = new ContactWizard({
+            ask: (question, options) => this.ask(question, options),
+            say: (text, isError = false) => {
+                this._addOutput(text, isError);
+                this._scrollToBottom();
+            },
+            open: (url) => {
+                window.location.href = url;
+            }
+        });
+
+        wizard.run().then(sent => {
+            if (!sent) {
+                this._addOutput('(message not sent)', false, 'hint');
+                this._scrollToBottom();
+            }
+        }).catch(error => {
+            this._addOutput(error.message, true);
+            this._scrollToBottom();
+        });
+
+        return { output: `Write a message to ${CONSTANTS.NAME} (Ctrl+C cancels at any step).` };
+    }
+
+    /**
+     * Open the line editor on a file (see TextEditor). Saving writes the
+     * file relative to the directory 'edit' ran in.
+     * @private
+     * @param {Object} edit - { path, cwd, content } from the edit command
+     */
+    _startEditor({ path, cwd, content }) {
+        const editor = new TextEditor(path, content);
+        this._addOutput(editor.start(), false);
+
+        this._startInputMode({
+            prompt: editor.getPrompt(),
+            onLine: (line) => {
+                let result;
+                try {
+                    result = editor.input(line);
+
+                    if (result.save !== undefined) {
+                        this.vfs.writeFile(path, result.save, cwd);
+                        editor.markSaved();
+                    }
+                } catch (error) {
+                    return { output: `Error: ${error.message}`, error: true };
+                }
+
+                if (result.done) {
+                    this._endInputMode(false);
+                } else {
+                    this.inputMode.prompt = editor.getPrompt();
+                }
+
+                return result;
+            },
+            onCancel: () => {
+                if (editor.modified) {
+                    this._addOutput(`(changes to ${path} discarded)`, false, 'hint');
+                }
+            }
+        });
+    }
+
+    /**
+     * Execute current command
+     * @private
+     */
+    _executeCommand() {
+        let input = this.inputElement.value.trim();
+
+        // A correction offered by the previous command only applies to the next Enter
+        const correction = this.pendingCorrection;
+        this.pendingCorrection = null;
+
+        if (input.length === 0) {
+            if (!correction) {
+                return;
+            }
+            input = correction;
+        }
+
+        this._runCommand(input);
+
+        // Clear input
+        this.inputElement.value = '';
+        this.historyIndex = -1;
+        this.completion = null;
+        this._updateGhost();
+
+        // Scroll to bottom
+        this._scrollToBottom();
+    }
+
+    /**
+     * Run a command line and print its output
+     * @private
+     * @param {string} input - Command line
+     * @param {Object} [options]
+     * @param {boolean} [options.page] - Open long output in the pager
+     * @param {boolean} [options.navigate] - Follow navigation to other
+     *   pages
+     */
+    _runCommand(input, { page = true, navigate = true } = {}) {
+        const prompt = this.promptElement.textContent;
+        const cwd = this.parser.getCwd();
+
+        // Add command to output
+        this._addOutput(`${prompt}${input}`, false, 'command');
+
+        // Execute command
+        const result = this.parser.execute(input);
+        this._recordCommand(prompt, input, result);
+        this.lastCommand = { input: result.expanded || input, cwd };
+
+        // Show the command that actually ran after !! / !n expansion
+        if (result.expanded) {
+            this._addOutput(result.expanded, false, 'command');
+        }
+
+        // Handle clear command
+        if (result.clear) {
+            this._clearOutput();
+        }
+
+        // Long output of a single command opens in the pager
+        const blocks = result.blocks || [];
+        if (page && blocks.length === 1 && !blocks[0].error && this._shouldPage(blocks[0])) {
+            this.content.setAttribute('data-paging', 'true');
+            this.pager.open(blocks[0].output, blocks[0].spans, input);
+        } else if (result.blocks) {
+            // Chained commands report one block per pipeline so each keeps its own error state
+            result.blocks.forEach(block => this._addOutput(block.output, block.error, 'output', block.spans));
+        } else if (result.output) {
+            this._addOutput(result.output, result.error, 'output', result.spans);
+        }
+
+        // Offer to run the typo-corrected command on an empty Enter
+        if (result.correction) {
+            this.pendingCorrection = result.correction;
+            this._addOutput(`Press Enter to run: ${result.correction}`, false, 'hint');
+        }
+
+        // Handle navigation
+        if (result.navigation && navigate) {
+            this._handleNavigation(result.navigation);
+        }
+
+        // edit hands the input line to the editor
+        if (result.edit) {
+            this._startEditor(result.edit);
+        }
+
+        // Handle exit command
+        if (result.exit) {
+            setTimeout(() => {
+                this.hide();
+            }, 300);
+        }
+
+        // Update prompt (cwd might have changed)
+        this._updatePrompt();
+    }
+
+    /**
+     * Add a command and its output to the session recording. Chained
+     * commands' blocks are joined into one output.
+     * @private
+     */
+    _recordCommand(prompt, input, result) {
+        const blocks = result.blocks || [{ output: result.output || '', error: result.error, spans: result.spans }];
+        const outputs = [];
+        const spans = [];
+        let line = 0;
+
+        blocks.filter(block => block.output).forEach(block => {
+            (block.spans || []).forEach(span => spans.push({ ...span, line: span.line + line }));
+            outputs.push(block.output);
+            line += block.output.split('\n').length;
+        });
+
+        this.recorder.record({
+            prompt,
+            input: result.expanded || input,
+            output: outputs.join('\n'),
+            error: blocks.some(block => block.error),
+            spans,
+            clear: Boolean(result.clear)
+        });
+    }
+
+    /**
+     * Register the commands that need the console itself: tour, save
+     * and replay
+     * @private
+     */
+    _registerSessionCommands() {
+        const section = 'SESSION';
+        const none = () => [];
+
+        this.registerCommand({
+            name: 'tour',
+            section: 'UTILITY',
+            description: 'Play a guided walkthrough (-l lists tours)\n(Space pause, n next step, q skip)',
+            details: 'Types and runs a scripted sequence of commands with narration. The tour stops at the end, or when you press q, Esc or Ctrl+C.',
+            flags: [{ flag: '-l', description: 'List the available tours' }],
+            args: [{ name: 'name', optional: true, default: Object.keys(TOURS)[0], description: 'Tour to play' }],
+            examples: ['tour', 'tour -l'],
+            run: (args, stdin, { flags, args: { name } }) => flags.l ? this._listTours() : this._startTour(name),
+            complete: (args, prefix) => Object.keys(TOURS).filter(name => name.startsWith(prefix))
+        });
+
+        this.registerCommand({
+            name: 'contact',
+            aliases: ['mail'],
+            section: 'UTILITY',
+            description: `Write a message to ${CONSTANTS.NAME}\n(asks step by step; Ctrl+C cancels)`,
+            details: 'Asks for your name, email address, subject and message, and shows the message before sending it. Depending on the site, it is sent from here or opened in your email app. Every answer can be changed with [e]dit at the review step.',
+            examples: ['contact'],
+            run: () => this._startContact(),
+            complete: none
+        });
+
+        this.registerCommand({
+            name: 'share',
+            section,
+            description: 'Copy a link that opens the console here\n(and runs the given command, or the last one)',
+            details: 'Anyone opening the link gets the console in this directory, running the command. Links may only run read-only commands: ' + LINK_COMMANDS.join(', ') + '.',
+            usage: 'share [command...]',
+            parse: false,
+            run: (args) => this._share(args),
+            // The shared command completes like the command itself
+            complete: (args, prefix, parser) => args.length === 0
+                ? LINK_COMMANDS.filter(name => name.startsWith(prefix))
+                : parser.getCompletions([...args, prefix].join(' ')).candidates,
+            glob: false
+        });
+
+        this.registerCommand({
+            name: 'save',
+            section,
+            description: 'Download this session as text, Markdown\nor a replayable cast (-f txt|md|cast)',
+            details: 'Every command run in this console is recorded with its output and the time it ran. The format is taken from -f, or else from the file name (.md, .json); the default is plain text. Load a cast with replay -u.',
+            flags: [
+                { flag: '-f', value: 'FORMAT', choices: Object.keys(SAVE_FORMATS), description: 'txt, md or cast' }
+            ],
+            args: [{ name: 'filename', optional: true, description: 'Name of the downloaded file' }],
+            examples: ['save', 'save -f md', 'save -f cast walkthrough.cast.json'],
+            run: (args, stdin, { flags, args: { filename } }) => this._saveSession(flags.f, filename),
+            complete: none,
+            glob: false
+        });
+
+        this.registerCommand({
+            name: 'replay',
+            section,
+            description: 'Play back a saved cast with its original timing\n(-u choose a file; Ctrl+C or Esc stops)',
+            details: 'Replays the recorded commands and their output; nothing is run again. Without a URL or -u, replays this session. -s speeds playback up and -i shortens long pauses.',
+            flags: [
+                { flag: '-u', description: 'Choose a cast file from this computer' },
+                { flag: '-s', value: 'SPEED', type: 'integer', min: 1, default: 1, description: 'Play N times faster' },
+                { flag: '-i', value: 'SECONDS', type: 'integer', min: 1, description: 'Longest pause between commands' }
+            ],
+            args: [{ name: 'url', optional: true, description: 'Address of a cast saved with save -f cast' }],
+            examples: ['replay', 'replay -s 2 /casts/walkthrough.cast.json', 'replay -u'],
+            run: (args, stdin, { flags, args: { url } }) => this._loadReplay(url, flags),
+            complete: none,
+            glob: false
+        });
+    }
+
+    /**
+     * List the tours
+     * @private
+     */
+    _listTours() {
+        const names = Object.keys(TOURS);
+        const width = Math.max(...names.map(name => name.length));
+
+        return { output: names.map(name => `${name.padEnd(width)}  ${TOURS[name].title}`).join('\n') };
+    }
+
+    /**
+     * Start a tour. Its commands run for real, so they change the
+     * directory and are recorded like typed ones.
+     * @private
+     * @param {string} name - Tour name
+     */
+    _startTour(name) {
+        if (!TOURS[name]) {
+            throw new Error(`tour: no such tour: ${name} (try: ${Object.keys(TOURS).join(', ')})`);
+        }
+
+        this.tour = new Tour(TOURS[name], {
+            say: (text) => {
+                this._addOutput(text, false, 'narration');
+                this._scrollToBottom();
+            },
+            type: (text) => {
+                this.inputElement.value = text;
+            },
+            run: (command) => {
+                this.inputElement.value = '';
+                this._runCommand(command, { page: false });
+                this._scrollToBottom();
+            },
+            onEnd: (finished) => {
+                this.tour = null;
+                this.inputElement.value = '';
+                this.inputElement.readOnly = false;
+                if (!finished) {
+                    this._addOutput('(tour skipped)', false, 'hint');
+                    this._scrollToBottom();
+                }
+            }
+        });
+
+        this.inputElement.value = '';
+        this.inputElement.readOnly = true;
+        this._updateGhost();
+        this.tour.start();
+
+        return { output: `${TOURS[name].title} - Space pauses, n plays the next step, q skips` };
+    }
+
+    /**
+     * Keys during a tour: Space pauses, n/Enter/→ steps, q/Esc/Ctrl+C
+     * skip the rest; the rest is ignored
+     * @private
+     */
+    _handleTourKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+            if (e.ctrlKey && e.code === 'KeyC') {
+                e.preventDefault();
+                this.tour.stop();
+            }
+            return;
+        }
+
+        e.preventDefault();
+
+        if (e.key === ' ') {
+            if (this.tour.togglePause()) {
+                this._addOutput('(paused - Space resumes, n plays the next step)', false, 'hint');
+                this._scrollToBottom();
+            }
+        } else if (['n', 'Enter', 'ArrowRight'].includes(e.key)) {
+            this.tour.step();
+        } else if (['q', 'Escape'].includes(e.key)) {
+            this.tour.stop();
+        }
+    }
+
+    /**
+     * Play the auto-start tour the first time the console is opened,
+     * unless commands already ran (from a console link)
+     * @private
+     */
+    _autoStartTour() {
+        const name = Object.keys(TOURS).find(key => TOURS[key].autoStart);
+        if (!name || this.lastCommand) return;
+
+        try {
+            if (localStorage.getItem(TOUR_SEEN_KEY)) return;
+            localStorage.setItem(TOUR_SEEN_KEY, 'true');
+        } catch (error) {
+            // Storage unavailable - without it every visit would look like the first
+            return;
+        }
+
+        this._addOutput(this._startTour(name).output, false, 'hint');
+    }
+
+    /**
+     * Show a link that opens the console in the current directory and
+     * runs a command, and copy it. Without a command, the last one is
+     * included when it ran in this directory.
+     * @private
+     * @param {Array<string>} words - Command to run, as typed
+     */
+    _share(words) {
+        const cwd = this.parser.getCwd();
+        let command = words.map(word => this._quote(word)).join(' ');
+
+        if (command) {
+            try {
+                this._checkLinkable(command);
+            } catch (error) {
+                throw new Error(`share: ${error.message}`);
+            }
+        } else if (this.lastCommand && this.lastCommand.cwd === cwd) {
+            try {
+                this._checkLinkable(this.lastCommand.input);
+                command = this.lastCommand.input;
+            } catch (error) {
+                // Not runnable from a link: share the directory alone
+            }
+        }
+
+        const commandLine = [cwd === '/' ? null : `cd ${this._quote(cwd)}`, command]
+            .filter(Boolean)
+            .join('; ');
+        const link = createConsoleLink(commandLine, window.location);
+
+        if (!navigator.clipboard) {
+            return { output: `${link}\n(copy the link above)` };
+        }
+
+        navigator.clipboard.writeText(link).then(
+            () => this._addOutput('(copied to clipboard)', false, 'hint'),
+            () => this._addOutput('(could not copy - select the link above)', false, 'hint')
+        );
+
+        return { output: link };
+    }
+
+    /**
+     * Check that a command line only runs commands allowed in links
+     * @private
+     * @throws {Error} Naming the first command that is not allowed
+     */
+    _checkLinkable(commandLine) {
+        if (this.parser.getRedirections(commandLine).length > 0) {
+            throw new Error('links cannot write files');
+        }
+
+        const blocked = this.parser.getCommandNames(commandLine).find(name => !LINK_COMMANDS.includes(name));
+
+        if (blocked !== undefined) {
+            throw new Error(`'${blocked}' cannot run from a link (allowed: ${LINK_COMMANDS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Quote a word for the shell if it needs it
+     * @private
+     */
+    _quote(word) {
+        return /^[\w./:=,@%+-]+$/.test(word) ? word : `'${word.replace(/'/g, "'\\''")}'`;
+    }
+
+    /**
+     * Download the session recording
+     * @private
+     * @param {string|null} format - 'txt', 'md' or 'cast'
+     * @param {string|null} filename - File name, may omit the extension
+     */
+    _saveSession(format, filename) {
+        if (this.recorder.entries.length === 0) {
+            throw new Error('save: nothing recorded yet');
+        }
+
+        if (!format) {
+            format = /\.json$/i.test(filename || '') ? 'cast'
+                : /\.(md|markdown)$/i.test(filename || '') ? 'md'
+                : 'txt';
+        }
+
+        const { extension, type } = SAVE_FORMATS[format];
+        let name = filename || `console-session${extension}`;
+        if (!name.includes('.')) {
+            name += extension;
+        }
+
+        const content = format === 'cast' ? this.recorder.toCast()
+            : format === 'md' ? this.recorder.toMarkdown()
+            : this.recorder.toText();
+
+        this._download(name, content, type);
+
+        return { output: `Saved ${this.recorder.entries.length} command(s) to ${name}` };
+    }
+
+    /**
+     * Offer text as a file download
+     * @private
+     */
+    _download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Start a replay of this session, a cast at a URL, or a chosen file.
+     * Loading is asynchronous; the replay starts once the cast is read.
+     * @private
+     */
+    _loadReplay(url, { u: upload, s: speed, i: idle }) {
+        const options = { speed, idle: idle === null ? Infinity : idle * 1000 };
+
+        if (upload) {
+            const picker = document.createElement('input');
+            picker.type = 'file';
+            picker.accept = '.json,application/json';
+            picker.addEventListener('change', () => {
+                const [file] = picker.files;
+                if (file) {
+                    this._startReplay(file.text(), { ...options, external: true });
+                }
+            });
+            picker.click();
+
+            return { output: 'Choose a cast file to replay...' };
+        }
+
+        if (url) {
+            const address = new URL(url, window.location.href);
+            if (!['http:', 'https:'].includes(address.protocol)) {
+                throw new Error(`replay: unsupported address: ${url}`);
+            }
+
+            this._startReplay(fetch(address).then(response => {
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                return response.text();
+            }), { ...options, external: true });
+
+            return { output: `Loading ${url}...` };
+        }
+
+        if (this.recorder.entries.length === 0) {
+            throw new Error('replay: nothing recorded yet');
+        }
+
+        // Snapshot before this command is recorded
+        const cast = JSON.parse(this.recorder.toCast());
+        this._startReplay(Promise.resolve(cast), options);
+
+        return { output: `Replaying ${cast.entries.length} command(s) (Ctrl+C or Esc to stop)` };
+    }
+
+    /**
+     * Play a cast once it has loaded
+     * @private
+     * @param {Promise<string|Object>} source - Cast JSON or object
+     * @param {Object} options - { speed, idle (ms), external } where
+     *   external marks a cast that was not recorded in this console
+     */
+    async _startReplay(source, { speed, idle, external = false }) {
+        let cast;
+        try {
+            cast = SessionRecorder.parseCast(await source);
+        } catch (error) {
+            this._addOutput(`replay: ${error.message}`, true);
+            this._scrollToBottom();
+            return;
+        }
+
+        if (cast.entries.length === 0) {
+            this._addOutput('replay: the cast is empty', true);
+            return;
+        }
+
+        // A shared cast may only link commands a console link could run
+        const entries = external ? cast.entries.map(entry => this._dropUnlinkableActions(entry)) : cast.entries;
+
+        this.replay = { entries, index: 0, speed, idle, timer: null };
+        this.inputElement.value = '';
+        this.inputElement.readOnly = true;
+        this.promptElement.textContent = '(replay) ';
+        this._updateGhost();
+
+        // The first command is shown straight away; later ones keep their spacing
+        this._scheduleReplay(0);
+    }
+
+    /**
+     * Show the next replayed command after the given delay
+     * @private
+     */
+    _scheduleReplay(delay) {
+        this.replay.timer = setTimeout(() => {
+            const { entries, index } = this.replay;
+            const entry = entries[index];
 
-            case 'l':
-                if (e.ctrlKey) {
-                    e.preventDefault();
+            try {
+                if (entry.clear) {
                     this._clearOutput();
                 }
-                break;
+                this._addOutput(`${entry.prompt || ''}${entry.input}`, false, 'command');
+                if (entry.output) {
+                    this._addOutput(entry.output, entry.error, 'output', entry.spans);
+                }
+            } catch (error) {
+                this._addOutput(`replay: command ${index + 1} could not be shown: ${error.message}`, true);
+                this._stopReplay('(replay stopped)');
+                return;
+            }
+            this._scrollToBottom();
 
-            case 'Escape':
-                e.preventDefault();
-                this.hide();
-                break;
-        }
+            const next = entries[index + 1];
+            if (!next) {
+                this._stopReplay('(replay finished)');
+                return;
+            }
+
+            this.replay.index++;
+            const { speed, idle } = this.replay;
+            this._scheduleReplay(Math.min(Math.max(0, next.time - entry.time) / speed, idle));
+        }, delay);
     }
 
     /**
-     * Execute current command
+     * Remove the click actions of a replayed entry that run commands a
+     * console link could not; the text and style stay
      * @private
      */
-    _executeCommand() {
-        const input = this.inputElement.value.trim();
+    _dropUnlinkableActions(entry) {
+        if (!entry.spans) return entry;
 
-        if (input.length === 0) {
-            return;
-        }
+        const spans = entry.spans.map(span => {
+            if (!span.action || span.action.type !== 'command') return span;
 
-        // Add command to output
-        this._addOutput(`${this.promptElement.textContent}${input}`, false, 'command');
+            try {
+                this._checkLinkable(span.action.command);
+                return span;
+            } catch (error) {
+                return { ...span, action: null };
+            }
+        });
 
-        // Execute command
-        const result = this.parser.execute(input);
+        return { ...entry, spans };
+    }
 
-        // Handle clear command
-        if (result.clear) {
-            this._clearOutput();
-        } else if (result.output) {
-            this._addOutput(result.output, result.error);
-        }
+    /**
+     * End a replay and give the prompt back
+     * @private
+     * @param {string} message - Shown as a hint
+     */
+    _stopReplay(message) {
+        if (!this.replay) return;
 
-        // Handle navigation
-        if (result.navigation) {
-            this._handleNavigation(result.navigation);
-        }
+        clearTimeout(this.replay.timer);
+        this.replay = null;
+        this.inputElement.readOnly = false;
+        this._updatePrompt();
+        this._addOutput(message, false, 'hint');
+        this._scrollToBottom();
+    }
 
-        // Handle exit command
-        if (result.exit) {
-            setTimeout(() => {
-                this.hide();
-            }, 300);
+    /**
+     * Keys during a replay: Ctrl+C and Esc stop it, the rest is ignored
+     * @private
+     */
+    _handleReplayKey(e) {
+        if (e.key === 'Escape' || (e.ctrlKey && e.code === 'KeyC')) {
+            e.preventDefault();
+            this._stopReplay('(replay stopped)');
+        } else if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
         }
+    }
 
-        // Update prompt (cwd might have changed)
-        this._updatePrompt();
+    /**
+     * Whether output should open in the pager: when the command asks
+     * for it (less), or when it is taller than the output area and
+     * --no-pager was not given
+     * @private
+     */
+    _shouldPage({ output, pager }) {
+        if (pager === 'always' || pager === 'never') {
+            return pager === 'always';
+        }
 
-        // Clear input
-        this.inputElement.value = '';
-        this.historyIndex = -1;
+        return output.split('\n').length > Pager.getPageSize(this.outputArea);
+    }
 
-        // Scroll to bottom
+    /**
+     * Return to the prompt after quitting the pager
+     * @private
+     */
+    _handlePagerClose(lineCount) {
+        this.content.removeAttribute('data-paging');
+        this._addOutput(`(${lineCount} lines shown in the pager - add --no-pager to print them)`, false, 'hint');
         this._scrollToBottom();
+
+        if (this.isVisible) {
+            this.inputElement.focus();
+        }
     }
 
     /**
@@ -221,6 +1186,9 @@ export class ConsoleMode {
             }
         }
 
+        this.completion = null;
+        this._updateGhost();
+
         // Move cursor to end
         setTimeout(() => {
             this.inputElement.setSelectionRange(
@@ -231,28 +1199,267 @@ export class ConsoleMode {
     }
 
     /**
-     * Handle autocomplete
+     * Enter reverse-i-search mode, or jump to the next older match if
+     * already searching
+     * @private
+     */
+    _startReverseSearch() {
+        if (this.reverseSearch) {
+            this._updateReverseSearch(this.reverseSearch.index);
+            return;
+        }
+
+        this.reverseSearch = {
+            query: '',
+            index: this.parser.history.length,
+            original: this.inputElement.value,
+            failed: false
+        };
+        this._renderReverseSearch();
+    }
+
+    /**
+     * Find the closest match for the current query older than `from`
+     * @private
+     */
+    _updateReverseSearch(from) {
+        const search = this.reverseSearch;
+        const index = this.parser.history.search(search.query, from);
+
+        // A failed search keeps showing the last match, like bash
+        search.failed = index === -1;
+        if (!search.failed) {
+            search.index = index;
+        }
+
+        this._renderReverseSearch();
+    }
+
+    /**
+     * Show the search query in the prompt and the match in the input
+     * @private
+     */
+    _renderReverseSearch() {
+        const { query, index, original, failed } = this.reverseSearch;
+        const match = this.parser.history.getAll()[index];
+
+        this.promptElement.textContent = `(${failed ? 'failed ' : ''}reverse-i-search)\`${query}': `;
+        this.inputElement.value = query.length > 0 && match !== undefined ? match : original;
+        this._updateGhost();
+    }
+
+    /**
+     * Leave reverse-i-search mode
+     * @private
+     * @param {boolean} accept - Keep the matched command in the input
+     */
+    _endReverseSearch(accept) {
+        const { original } = this.reverseSearch;
+        this.reverseSearch = null;
+        this._updatePrompt();
+
+        if (!accept) {
+            this.inputElement.value = original;
+        }
+
+        const end = this.inputElement.value.length;
+        this.inputElement.setSelectionRange(end, end);
+        this._updateGhost();
+    }
+
+    /**
+     * Handle a key press while in reverse-i-search mode
+     * @private
+     * @returns {boolean} True if the key was consumed
+     */
+    _handleReverseSearchKey(e) {
+        const search = this.reverseSearch;
+
+        if (e.ctrlKey && e.key === 'r') {
+            e.preventDefault();
+            this._startReverseSearch();
+            return true;
+        }
+
+        if (e.key === 'Escape' || (e.ctrlKey && (e.key === 'g' || e.key === 'c'))) {
+            e.preventDefault();
+            this._endReverseSearch(false);
+            return true;
+        }
+
+        if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            this._updateReverseSearch(this.parser.history.length);
+            return true;
+        }
+
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            search.query += e.key;
+            this._updateReverseSearch(search.index + 1);
+            return true;
+        }
+
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return true;
+        }
+
+        // Any other key (Enter, arrows, Tab) accepts the match and is then
+        // handled normally
+        this._endReverseSearch(true);
+        return false;
+    }
+
+    /**
+     * Handle autocomplete.
+     *
+     * The first Tab fills the longest prefix shared by all candidates and
+     * lists them; further Tab / Shift+Tab presses cycle through them.
      * @private
+     * @param {number} direction - 1 for Tab, -1 for Shift+Tab
      */
-    _handleAutocomplete() {
+    _handleAutocomplete(direction = 1) {
         const input = this.inputElement.value;
-        const suggestions = this.parser.getAutocompleteSuggestions(input);
 
-        if (suggestions.length === 0) {
+        // Repeated Tab on an unchanged line cycles through the candidates
+        if (this.completion && this.completion.value === input) {
+            this._cycleCompletion(direction);
             return;
         }
 
-        if (suggestions.length === 1) {
-            // Single suggestion - autocomplete
-            const parts = input.split(' ');
-            parts[parts.length - 1] = suggestions[0];
-            this.inputElement.value = parts.join(' ');
-        } else {
-            // Multiple suggestions - show them
-            const output = suggestions.join('  ');
-            this._addOutput(output, false);
-            this._scrollToBottom();
+        const cursor = this.inputElement.selectionStart ?? input.length;
+        const { start, end, candidates } = this.parser.getCompletions(input, cursor);
+
+        if (candidates.length === 0) {
+            return;
+        }
+
+        const completion = {
+            before: input.slice(0, start),
+            after: input.slice(end),
+            candidates,
+            index: -1,
+            value: null
+        };
+
+        if (candidates.length === 1) {
+            // Single suggestion - autocomplete, adding a space after complete words
+            const [candidate] = candidates;
+            const suffix = candidate.endsWith('/') || completion.after.startsWith(' ') ? '' : ' ';
+            this._applyCompletion(completion, candidate + suffix);
+            this.completion = null;
+            return;
         }
+
+        // Multiple suggestions - fill the common prefix and show them
+        const prefix = this._commonPrefix(candidates);
+        this._applyCompletion(completion, prefix.length > end - start ? prefix : input.slice(start, end));
+        this.completion = completion;
+
+        this._addOutput(candidates.join('  '), false);
+        this._scrollToBottom();
+    }
+
+    /**
+     * Replace the current line with the next/previous candidate
+     * @private
+     */
+    _cycleCompletion(direction) {
+        const completion = this.completion;
+        const count = completion.candidates.length;
+
+        completion.index = completion.index === -1 && direction < 0
+            ? count - 1
+            : (completion.index + direction + count) % count;
+
+        this._applyCompletion(completion, completion.candidates[completion.index]);
+    }
+
+    /**
+     * Write a completed word into the input, keeping text after the cursor
+     * @private
+     */
+    _applyCompletion(completion, word) {
+        const value = completion.before + word + completion.after;
+        const cursor = completion.before.length + word.length;
+
+        this.inputElement.value = value;
+        this.inputElement.setSelectionRange(cursor, cursor);
+        completion.value = value;
+        this._updateGhost();
+    }
+
+    /**
+     * Longest prefix shared by all strings
+     * @private
+     */
+    _commonPrefix(strings) {
+        return strings.reduce((prefix, string) => {
+            let i = 0;
+            while (i < prefix.length && prefix[i] === string[i]) i++;
+            return prefix.slice(0, i);
+        });
+    }
+
+    /**
+     * Compute the inline suggestion for the word being typed. Only shown
+     * while the cursor is at the end of the line.
+     * @private
+     */
+    _getGhostSuffix() {
+        const input = this.inputElement.value;
+        const cursor = this.inputElement.selectionStart ?? input.length;
+
+        if (input.trim().length === 0 || cursor !== input.length || this.reverseSearch || this.inputMode) {
+            return '';
+        }
+
+        const { start, end, candidates } = this.parser.getCompletions(input, cursor);
+        const typed = input.slice(start, end);
+        const candidate = candidates.find(c => c.startsWith(typed) && c.length > typed.length);
+
+        return typed.length > 0 && candidate ? candidate.slice(typed.length) : '';
+    }
+
+    /**
+     * Render the inline suggestion behind the input
+     * @private
+     */
+    _updateGhost() {
+        if (!this.ghostElement) return;
+
+        const suffix = this._getGhostSuffix();
+        this.ghostElement.textContent = '';
+
+        if (suffix.length === 0 || this.inputElement.scrollWidth > this.inputElement.clientWidth) {
+            return;
+        }
+
+        // The typed text is invisible and only offsets the suggestion
+        const typed = document.createElement('span');
+        typed.className = 'console-ghost-typed';
+        typed.textContent = this.inputElement.value;
+
+        this.ghostElement.appendChild(typed);
+        this.ghostElement.appendChild(document.createTextNode(suffix));
+    }
+
+    /**
+     * Accept the inline suggestion
+     * @private
+     * @returns {boolean} True if a suggestion was accepted
+     */
+    _acceptGhost() {
+        const suffix = this._getGhostSuffix();
+        if (suffix.length === 0) {
+            return false;
+        }
+
+        this.inputElement.value += suffix;
+        this.completion = null;
+        this._updateGhost();
+        return true;
     }
 
     /**
@@ -276,8 +1483,12 @@ export class ConsoleMode {
     /**
      * Add output to console
      * @private
+     * @param {string} text - Output text
+     * @param {boolean} isError - Show as an error
+     * @param {string} type - 'output', 'command', 'hint' or 'narration'
+     * @param {Array} [spans] - Styled and clickable spans (see OutputBuilder)
      */
-    _addOutput(text, isError = false, type = 'output') {
+    _addOutput(text, isError = false, type = 'output', spans = null) {
         const line = document.createElement('div');
         line.className = `console-line console-${type}`;
 
@@ -286,11 +1497,130 @@ export class ConsoleMode {
         }
 
         // Preserve whitespace and line breaks
-        line.textContent = text;
+        if (type === 'output') {
+            this._appendSpans(line, text, spans || []);
+        } else {
+            line.textContent = text;
+        }
 
         this.outputArea.appendChild(line);
     }
 
+    /**
+     * Append output text, rendering its spans and linking URLs and email
+     * addresses in the remaining text. Everything is added as text nodes.
+     * @private
+     * @param {HTMLElement} element - Target element
+     * @param {string} text - Output text
+     * @param {Array} spans - { line, start, end, style?, action? }
+     */
+    _appendSpans(element, text, spans) {
+        const lines = text.split('\n');
+
+        lines.forEach((lineText, index) => {
+            const lineSpans = spans
+                .filter(span => span.line === index)
+                .sort((a, b) => a.start - b.start);
+
+            let position = 0;
+            lineSpans.forEach(span => {
+                if (span.start < position) return;
+
+                this._appendLinkified(element, lineText.slice(position, span.start));
+                element.appendChild(this._createSpanElement(lineText.slice(span.start, span.end), span));
+                position = span.end;
+            });
+
+            this._appendLinkified(element, lineText.slice(position));
+
+            if (index < lines.length - 1) {
+                element.appendChild(document.createTextNode('\n'));
+            }
+        });
+    }
+
+    /**
+     * Create the element for a styled or clickable span
+     * @private
+     */
+    _createSpanElement(text, { style, action }) {
+        let element;
+
+        if (action && action.type === 'url' && this._isSafeUrl(action.url)) {
+            element = this._createLink(text, action.url);
+        } else if (action && action.type === 'command') {
+            element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'console-link';
+            element.dataset.command = action.command;
+            element.title = action.command;
+        } else if (style === 'match') {
+            element = document.createElement('mark');
+            element.className = 'console-match';
+        } else {
+            element = document.createElement('span');
+        }
+
+        if (style && style !== 'match') {
+            element.classList.add(`console-${style}`);
+        }
+
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Append plain text, turning URLs and email addresses into links
+     * @private
+     */
+    _appendLinkified(element, text) {
+        const pattern = /\bhttps?:\/\/[^\s<>"']+|\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+        let position = 0;
+
+        for (const match of text.matchAll(pattern)) {
+            // Leave trailing punctuation out of the link
+            const value = match[0].replace(/[.,;:!?)\]]+$/, '');
+            const url = value.includes('://') ? value : `mailto:${value}`;
+
+            element.appendChild(document.createTextNode(text.slice(position, match.index)));
+            element.appendChild(this._createLink(value, url));
+            position = match.index + value.length;
+        }
+
+        element.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    /**
+     * Create an external link
+     * @private
+     */
+    _createLink(text, url) {
+        const link = document.createElement('a');
+        link.className = 'console-link';
+        link.href = url;
+        link.textContent = text;
+
+        if (!url.startsWith('mailto:')) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+
+        return link;
+    }
+
+    /**
+     * Only http(s) and mailto links are rendered; anything else
+     * (javascript:, data:) stays plain text
+     * @private
+     */
+    _isSafeUrl(url) {
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(url, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Clear output area
      * @private
@@ -304,6 +1634,11 @@ export class ConsoleMode {
      * @private
      */
     _updatePrompt() {
+        if (this.inputMode) {
+            this.promptElement.textContent = this.inputMode.prompt;
+            return;
+        }
+
         const cwd = this.parser ? this.parser.getCwd() : '/';
         this.promptElement.textContent = `${cwd} $ `;
     }
@@ -326,8 +1661,10 @@ export class ConsoleMode {
         return `Console Mode - Portfolio Filesystem
 
 Type 'help' for available commands.
+Type 'tour' for a guided walkthrough.
 Type 'tree /' to see the filesystem structure.
 Type 'list /projects' to see all projects.
+Your own files go in /home/guest and /tmp (try 'edit $HOME/notes').
 
 Press Ctrl+\` or Esc to close.`;
     }
@@ -355,12 +1692,17 @@ Press Ctrl+\` or Esc to close.`;
         setTimeout(() => {
             this.inputElement.focus();
         }, 100);
+
+        this._autoStartTour();
     }
 
     /**
      * Hide console
      */
     hide() {
+        this.pager.close();
+        this._stopReplay('(replay stopped)');
+        if (this.tour) this.tour.stop();
         this.isVisible = false;
         this.container.setAttribute('data-visible', 'false');
         this.inputElement.blur();
@@ -397,6 +1739,104 @@ Press Ctrl+\` or Esc to close.`;
         }
     }
 
+    /**
+     * Contribute a console command (see CommandParser.registerCommand)
+     * @param {Object} definition - Command definition
+     * @returns {Function} Call to unregister the command
+     */
+    registerCommand(definition) {
+        return this.parser.registerCommand(definition);
+    }
+
+    /**
+     * Connect the page behind the console, registering the commands it
+     * supports (see HostCommands)
+     * @param {Object} host - Host page bridge
+     * @returns {Function} Call to disconnect, unregistering the commands
+     */
+    connectHost(host) {
+        const unregister = createHostCommands(host).map(definition => this.registerCommand(definition));
+        return () => unregister.forEach(fn => fn());
+    }
+
+    /**
+     * Ask the visitor a question on the input line, for commands that
+     * need several answers. Until it is answered, Enter submits the answer
+     * instead of running a command.
+     * @param {string} question - Prompt, e.g. 'Name: '
+     * @param {Object} [options]
+     * @param {string} [options.default] - Answer used when the visitor
+     *   enters nothing (shown in the prompt)
+     * @param {Function} [options.validate] - (answer) returning a message
+     *   to show and ask again, or null to accept the answer
+     * @param {boolean} [options.multiline] - Collect lines until one that
+     *   is only '.'
+     * @returns {Promise<string|null>} Answer, or null if Ctrl+C cancelled
+     */
+    ask(question, { default: fallback = '', validate = () => null, multiline = false } = {}) {
+        if (this.inputMode) {
+            return Promise.reject(new Error('already waiting for an answer'));
+        }
+
+        const prompt = fallback && !multiline ? `${question}[${fallback}] ` : question;
+        const lines = [];
+
+        return new Promise(resolve => {
+            this._startInputMode({
+                prompt,
+                onLine: (line) => {
+                    if (multiline && line !== '.') {
+                        lines.push(line);
+                        return null;
+                    }
+
+                    const typed = multiline ? lines.splice(0).join('\n') : line.trim();
+                    const answer = typed || fallback;
+                    const problem = validate(answer);
+
+                    if (problem) {
+                        return { output: problem, error: true };
+                    }
+
+                    this._endInputMode(false);
+                    resolve(answer);
+                    return null;
+                },
+                onCancel: () => resolve(null)
+            });
+        });
+    }
+
+    /**
+     * Run the command line of a console link (see ConsoleLink). Only
+     * read-only commands run, and they never leave the page.
+     * @param {string} commandLine - Command line from the link
+     */
+    runLink(commandLine) {
+        if (!commandLine) return;
+
+        try {
+            this._checkLinkable(commandLine);
+        } catch (error) {
+            this._addOutput(`${this.promptElement.textContent}${commandLine}`, false, 'command');
+            this._addOutput(`Error: console link not run: ${error.message}`, true);
+            return;
+        }
+
+        this._runCommand(commandLine, { page: false, navigate: false });
+        this._scrollToBottom();
+    }
+
+    /**
+     * Set the project open on the page ($PROJECT)
+     * @param {string} path - Project directory path
+     */
+    setProject(path) {
+        if (this.parser) {
+            this.parser.setEnv('PROJECT', path);
+        }
+    }
+
     /**
      * Check if console is visible
      */
@@ -410,16 +1850,13 @@ let consoleInstance = null;
 
 /**
  * Get or create console instance
- * @param {Array} projectData - Project data (required for first initialization)
+ * @param {Array} [projectData] - Project data (only needed without a build snapshot)
  * @returns {Promise<ConsoleMode>}
  */
 export async function getConsoleInstance(projectData = null) {
     if (!consoleInstance) {
         consoleInstance = new ConsoleMode();
-
-        if (projectData) {
-            await consoleInstance.initialize(projectData);
-        }
+        await consoleInstance.initialize(projectData);
     }
 
     return consoleInstance;
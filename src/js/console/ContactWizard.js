@@ -0,0 +1,164 @@
+/**
+ * ContactWizard - Ask for a message step by step and send it
+ *
+ * Prompts for name, email, subject and message, shows the message for
+ * review, and then posts it to CONSTANTS.CONTACT_ENDPOINT as JSON or,
+ * when no endpoint is configured, opens a prefilled mailto: link. The
+ * console supplies the prompts (see ConsoleMode.ask), so the wizard
+ * itself knows nothing about the DOM.
+ */
+
+import { CONSTANTS } from '../config/constants.js';
+
+// Deliberately loose: catches typos, leaves the rest to the mail server
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class ContactWizard {
+    /**
+     * @param {Object} handlers
+     * @param {Function} handlers.ask - (question, options) resolving to the
+     *   answer, or null when the visitor cancels
+     * @param {Function} handlers.say - (text, isError) prints a line
+     * @param {Function} handlers.open - (url) opens the mailto: link
+     * @param {Object} [options]
+     * @param {string} [options.to] - Address the message goes to
+     * @param {string} [options.endpoint] - URL to post the message to
+     */
+    constructor({ ask, say, open }, { to = CONSTANTS.EMAIL, endpoint = CONSTANTS.CONTACT_ENDPOINT } = {}) {
+        this.ask = ask;
+        this.say = say;
+        this.open = open;
+        this.to = to;
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * Run the wizard to the end
+     * @returns {Promise<boolean>} Whether the message was sent (or handed
+     *   to the email app)
+     */
+    async run() {
+        let fields = { name: '', email: '', subject: '', message: '' };
+
+        for (;;) {
+            fields = await this._askFields(fields);
+            if (!fields) {
+                return false;
+            }
+
+            this.say(this._formatReview(fields));
+
+            const answer = await this.ask('Send it? [y]es, [e]dit, [n]o: ', {
+                validate: value => /^[yen]/i.test(value) ? null : 'Please answer y, e or n.'
+            });
+
+            if (answer === null || /^n/i.test(answer)) {
+                return false;
+            }
+
+            if (/^y/i.test(answer)) {
+                return this._send(fields);
+            }
+        }
+    }
+
+    /**
+     * Ask for every field, offering the previous answers as defaults
+     * @private
+     * @returns {Promise<Object|null>} Fields, or null when cancelled
+     */
+    async _askFields(previous) {
+        const name = await this.ask('Name: ', { default: previous.name, validate: required('your name') });
+        if (name === null) return null;
+
+        const email = await this.ask('Email: ', { default: previous.email, validate: validateEmail });
+        if (email === null) return null;
+
+        const subject = await this.ask('Subject: ', { default: previous.subject, validate: required('a subject') });
+        if (subject === null) return null;
+
+        this.say(previous.message
+            ? "Message (finish with '.' on a line of its own; '.' alone keeps the previous message):"
+            : "Message (finish with '.' on a line of its own):");
+        const message = await this.ask('> ', { default: previous.message, multiline: true, validate: required('a message') });
+        if (message === null) return null;
+
+        return { name, email, subject, message };
+    }
+
+    /**
+     * @private
+     */
+    _formatReview({ name, email, subject, message }) {
+        return `To:      ${this.to}
+From:    ${name} <${email}>
+Subject: ${subject}
+
+${message}`;
+    }
+
+    /**
+     * Post the message, or open it in the visitor's email app
+     * @private
+     */
+    async _send(fields) {
+        if (!this.endpoint) {
+            this.open(createMailtoLink(this.to, fields));
+            this.say('Opening your email app with the message...');
+            return true;
+        }
+
+        this.say('Sending...');
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(fields)
+            });
+
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+        } catch (error) {
+            this.say(`Error: contact: could not send the message (${error.message}). You can email ${this.to} directly.`, true);
+            return false;
+        }
+
+        this.say(`Message sent. Thanks, ${fields.name}!`);
+        return true;
+    }
+}
+
+/**
+ * Check an email address
+ * @param {string} value - Address as typed
+ * @returns {string|null} Problem to report, or null when valid
+ */
+export function validateEmail(value) {
+    if (value.length === 0) {
+        return 'Please enter your email address.';
+    }
+
+    return EMAIL_PATTERN.test(value) ? null : `'${value}' does not look like an email address.`;
+}
+
+/**
+ * Create a mailto: link with the message filled in
+ * @param {string} to - Recipient address
+ * @param {Object} fields - { name, email, subject, message }
+ * @returns {string} URL
+ */
+export function createMailtoLink(to, { name, email, subject, message }) {
+    // encodeURIComponent, not URLSearchParams: mail apps expect %20, not +
+    const body = `${message}\n\n-- \n${name} <${email}>`;
+    return `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Validator for a field that may not be empty
+ * @private
+ */
+function required(what) {
+    return value => value.trim().length > 0 ? null : `Please enter ${what}.`;
+}
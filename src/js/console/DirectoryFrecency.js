@@ -0,0 +1,164 @@
+/**
+ * DirectoryFrecency - Rank visited directories for the `z` command
+ *
+ * Every directory change bumps the directory's visit count. Directories
+ * are ranked by "frecency": the count weighted by how recently the
+ * directory was last visited (as in rupa/z). Counts are aged once their
+ * total grows too large so old favourites fade out. Visits are stored in
+ * localStorage like the command history.
+ */
+
+const STORAGE_KEY = 'consoleDirectoryVisits';
+const MAX_TOTAL_RANK = 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+export class DirectoryFrecency {
+    constructor({ storageKey = STORAGE_KEY, maxTotalRank = MAX_TOTAL_RANK } = {}) {
+        this.storageKey = storageKey;
+        this.maxTotalRank = maxTotalRank;
+        this.visits = this._load() || {};
+    }
+
+    /**
+     * Record a visit to a directory
+     * @param {string} path - Absolute directory path
+     */
+    visit(path) {
+        // Re-read first so visits made on another page are not overwritten
+        this.visits = this._load() || this.visits;
+
+        const entry = this.visits[path] || { rank: 0, time: 0 };
+        this.visits[path] = { rank: entry.rank + 1, time: Date.now() };
+
+        this._age();
+        this._save();
+    }
+
+    /**
+     * Rank visited directories matching all fragments
+     * @param {Array<string>} fragments - Words that must appear in the
+     *   path in order (case-insensitive)
+     * @param {Object} options
+     * @param {boolean} options.fuzzy - Also accept fragments matching as
+     *   a subsequence ('dtadm' -> diatadmin)
+     * @returns {Array} { path, score } sorted best first
+     */
+    rank(fragments = [], { fuzzy = false } = {}) {
+        const now = Date.now();
+
+        return Object.entries(this.visits)
+            .filter(([path]) => matchesFragments(path, fragments, { fuzzy }))
+            .map(([path, entry]) => ({ path, score: this._score(entry, now) }))
+            .sort((a, b) => b.score - a.score || a.path.length - b.path.length);
+    }
+
+    /**
+     * Forget a directory (e.g. one that no longer exists)
+     * @param {string} path - Absolute directory path
+     */
+    remove(path) {
+        delete this.visits[path];
+        this._save();
+    }
+
+    /**
+     * Forget all visits
+     */
+    clear() {
+        this.visits = {};
+        this._save();
+    }
+
+    /**
+     * Visit count weighted by recency
+     * @private
+     */
+    _score({ rank, time }, now) {
+        const age = now - time;
+
+        if (age < HOUR) return rank * 4;
+        if (age < DAY) return rank * 2;
+        if (age < WEEK) return rank / 2;
+        return rank / 4;
+    }
+
+    /**
+     * Scale all counts down once their total exceeds the cap, dropping
+     * directories that fall below one visit
+     * @private
+     */
+    _age() {
+        const total = Object.values(this.visits).reduce((sum, entry) => sum + entry.rank, 0);
+        if (total <= this.maxTotalRank) return;
+
+        for (const [path, entry] of Object.entries(this.visits)) {
+            entry.rank *= 0.9;
+            if (entry.rank < 1) {
+                delete this.visits[path];
+            }
+        }
+    }
+
+    /**
+     * Load visits from localStorage
+     * @private
+     * @returns {Object|null} Visits by path, or null if storage is unavailable
+     */
+    _load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save visits to localStorage
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.visits));
+        } catch (error) {
+            // Storage unavailable (private mode, quota) - keep visits in memory only
+        }
+    }
+}
+
+/**
+ * Check that fragments appear in a path in order. Each fragment is
+ * matched as a substring or, when fuzzy, failing that as a subsequence.
+ * @param {string} path - Directory path
+ * @param {Array<string>} fragments - Words typed after `z`
+ * @param {Object} options
+ * @param {boolean} options.fuzzy - Allow subsequence matches
+ * @returns {boolean}
+ */
+export function matchesFragments(path, fragments, { fuzzy = false } = {}) {
+    const haystack = path.toLowerCase();
+    let position = 0;
+
+    for (const fragment of fragments) {
+        const needle = fragment.toLowerCase();
+        const index = haystack.indexOf(needle, position);
+
+        if (index !== -1) {
+            position = index + needle.length;
+            continue;
+        }
+
+        if (!fuzzy) return false;
+
+        for (const char of needle) {
+            position = haystack.indexOf(char, position);
+            if (position === -1) return false;
+            position++;
+        }
+    }
+
+    return true;
+}
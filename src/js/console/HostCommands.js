@@ -0,0 +1,136 @@
+/**
+ * HostCommands - Console commands that drive the page behind the console
+ *
+ * The page connects itself with ConsoleMode.connectHost(host), and only
+ * the commands its host supports are registered:
+ * - goto (scroll) <section> - needs host.sections and host.goto
+ * - theme [dark|light|system] - needs host.getTheme and host.setTheme
+ * - highlight [project] - needs host.highlightProject
+ *
+ * host: {
+ *   sections: { name: description },  sections goto can scroll to
+ *   goto(name),                         scroll to a section
+ *   getTheme(), setTheme(theme),        'dark', 'light' or 'system'
+ *   highlightProject(projectId)         scroll to and flash the project's
+ *                                       card; false if it is not on the page
+ * }
+ *
+ * goto and highlight close the console so the page can be seen.
+ */
+
+import { PathNotFoundError } from './VirtualFileSystem.js';
+
+const SECTION = 'PAGE';
+const THEMES = ['dark', 'light', 'system'];
+
+/**
+ * Build the command definitions a host supports
+ * @param {Object} host - Host page bridge (see above)
+ * @returns {Array<Object>} Definitions for CommandParser.registerCommand
+ */
+export function createHostCommands(host) {
+    const commands = [];
+
+    if (host.sections && host.goto) {
+        const names = Object.keys(host.sections);
+
+        commands.push({
+            name: 'goto',
+            aliases: ['scroll'],
+            section: SECTION,
+            description: `Close the console and scroll the page\nto a section (${names.join(', ')})`,
+            details: names.map(name => `${name}: ${host.sections[name]}`).join('\n'),
+            args: [{ name: 'section', choices: names, description: 'Section of the page' }],
+            examples: names.map(name => `goto ${name}`),
+            run: (args, stdin, { args: { section } }) => {
+                host.goto(section);
+                return { output: `Scrolling to ${section}`, exit: true };
+            },
+            complete: (args, prefix) => args.length === 0 ? names.filter(name => name.startsWith(prefix)) : []
+        });
+    }
+
+    if (host.getTheme && host.setTheme) {
+        commands.push({
+            name: 'theme',
+            section: SECTION,
+            description: 'Show or set the colour theme\n(dark, light, or system to follow your device)',
+            details: 'The choice is saved in this browser, for every page of the site.',
+            args: [{ name: 'theme', optional: true, choices: THEMES, description: 'dark, light or system' }],
+            examples: ['theme', 'theme light', 'theme system'],
+            run: (args, stdin, { args: { theme } }) => {
+                if (theme === null) {
+                    return { output: `Theme: ${host.getTheme()}` };
+                }
+
+                host.setTheme(theme);
+                return { output: `Theme set to ${theme}` };
+            },
+            complete: (args, prefix) => args.length === 0 ? THEMES.filter(theme => theme.startsWith(prefix)) : []
+        });
+    }
+
+    if (host.highlightProject) {
+        commands.push({
+            name: 'highlight',
+            section: SECTION,
+            description: "Close the console and point out a project's\ncard on the page (default: the current project)",
+            details: 'The project is a project directory, or just its name. Without one, the project the current directory is in is used.',
+            args: [{ name: 'project', optional: true, description: 'Project directory or name' }],
+            examples: ['highlight diatadmin', 'cd /projects/diatadmin; highlight'],
+            run: (args, stdin, { args: { project } }, parser) => {
+                const projectId = resolveProject(parser, project);
+
+                if (!host.highlightProject(projectId)) {
+                    throw new Error(`highlight: the project is not shown on this page: ${project || parser.getCwd()}`);
+                }
+                return { output: `Highlighting ${parser.vfs.getProjectPathById(projectId)}`, exit: true };
+            },
+            complete: (args, prefix, parser) => args.length === 0 ? completeProjects(parser, prefix) : [],
+            glob: false
+        });
+    }
+
+    return commands;
+}
+
+/**
+ * Find the project a highlight argument names
+ * @private
+ * @returns {string} Project id
+ */
+function resolveProject(parser, project) {
+    const { vfs } = parser;
+    const cwd = parser.getCwd();
+
+    if (project === null) {
+        const projectId = vfs.getProjectIdFromPath(cwd);
+        if (!projectId) {
+            throw new Error('highlight: not in a project directory; name a project (see list /projects)');
+        }
+        return projectId;
+    }
+
+    // A bare name is looked up in /projects first
+    const node = (!project.includes('/') && vfs.resolvePath(`/projects/${project}`)) || vfs.resolvePath(project, cwd);
+
+    if (!node) {
+        throw new PathNotFoundError(project, vfs.suggestPaths(`/projects/${project}`));
+    }
+
+    const projectId = vfs.getProjectIdFromPath(node.path);
+    if (!projectId) {
+        throw new Error(`highlight: not a project: ${project}`);
+    }
+    return projectId;
+}
+
+/**
+ * Project names starting with a prefix
+ * @private
+ */
+function completeProjects(parser, prefix) {
+    return parser.vfs.listDirectory('/projects')
+        .filter(entry => entry.type === 'directory' && entry.name.startsWith(prefix))
+        .map(entry => entry.name);
+}
@@ -0,0 +1,182 @@
+/**
+ * LineEditor - readline-style editing commands for the console input
+ *
+ * Commands take the input's value and cursor position and return the
+ * new ones; the console maps key presses to them. Command names follow
+ * readline's:
+ * - beginning-of-line, end-of-line
+ * - backward-word, forward-word
+ * - unix-line-discard (kill to start), kill-line (kill to end)
+ * - unix-word-rubout (kill the previous whitespace-separated word),
+ *   backward-kill-word, kill-word (alphanumeric words)
+ * - yank (insert the last kill), yank-pop (replace it with the kill
+ *   before it)
+ *
+ * Killed text goes into a kill ring. Consecutive kills are joined into
+ * one entry, as in readline, so Ctrl+W Ctrl+W yanks back both words.
+ */
+
+const RING_SIZE = 10;
+
+const WORD = /[A-Za-z0-9]/;
+
+// Commands whose killed text joins the previous kill
+const KILLS = ['unix-line-discard', 'kill-line', 'unix-word-rubout', 'backward-kill-word', 'kill-word'];
+
+export class LineEditor {
+    constructor({ ringSize = RING_SIZE } = {}) {
+        this.ringSize = ringSize;
+        this.ring = [];
+        this.lastCommand = null;
+        this.lastState = null;
+        this.yank = null;
+    }
+
+    /**
+     * Run an editing command
+     * @param {string} command - Command name
+     * @param {Object} state - { value, cursor }
+     * @returns {Object} New { value, cursor }
+     */
+    run(command, { value, cursor }) {
+        // A sequence (kills to join, yank before yank-pop) is broken by
+        // anything that changed the line in between
+        const continues = this.lastState !== null
+            && this.lastState.value === value
+            && this.lastState.cursor === cursor;
+        const previous = continues ? this.lastCommand : null;
+
+        let next;
+        switch (command) {
+            case 'beginning-of-line':
+                next = { value, cursor: 0 };
+                break;
+            case 'end-of-line':
+                next = { value, cursor: value.length };
+                break;
+            case 'backward-word':
+                next = { value, cursor: this._wordStart(value, cursor) };
+                break;
+            case 'forward-word':
+                next = { value, cursor: this._wordEnd(value, cursor) };
+                break;
+            case 'unix-line-discard':
+                next = this._kill(value, 0, cursor, previous, true);
+                break;
+            case 'kill-line':
+                next = this._kill(value, cursor, value.length, previous, false);
+                break;
+            case 'unix-word-rubout':
+                next = this._kill(value, this._spaceWordStart(value, cursor), cursor, previous, true);
+                break;
+            case 'backward-kill-word':
+                next = this._kill(value, this._wordStart(value, cursor), cursor, previous, true);
+                break;
+            case 'kill-word':
+                next = this._kill(value, cursor, this._wordEnd(value, cursor), previous, false);
+                break;
+            case 'yank':
+                next = this._yank(value, cursor, 0);
+                break;
+            case 'yank-pop':
+                next = previous === 'yank' || previous === 'yank-pop'
+                    ? this._yankPop(value, cursor)
+                    : { value, cursor };
+                break;
+            default:
+                throw new Error(`unknown editing command: ${command}`);
+        }
+
+        this.lastCommand = command;
+        this.lastState = next;
+        return next;
+    }
+
+    /**
+     * Remove text between start and end, saving it in the kill ring
+     * @private
+     * @param {boolean} backward - Killed text goes before an entry
+     *   joined from a previous kill
+     */
+    _kill(value, start, end, previous, backward) {
+        const text = value.slice(start, end);
+
+        if (text.length > 0) {
+            const joining = previous !== null && KILLS.includes(previous) && this.ring.length > 0;
+
+            if (joining) {
+                this.ring[0] = backward ? text + this.ring[0] : this.ring[0] + text;
+            } else {
+                this.ring.unshift(text);
+                this.ring.length = Math.min(this.ring.length, this.ringSize);
+            }
+        }
+
+        return { value: value.slice(0, start) + value.slice(end), cursor: start };
+    }
+
+    /**
+     * Insert a kill ring entry at the cursor
+     * @private
+     */
+    _yank(value, cursor, index) {
+        if (this.ring.length === 0) {
+            this.yank = null;
+            return { value, cursor };
+        }
+
+        const text = this.ring[index];
+        this.yank = { start: cursor, end: cursor + text.length, index };
+
+        return { value: value.slice(0, cursor) + text + value.slice(cursor), cursor: cursor + text.length };
+    }
+
+    /**
+     * Replace the text just yanked with the previous kill ring entry
+     * @private
+     */
+    _yankPop(value, cursor) {
+        // Nothing was yanked: the ring was empty
+        if (this.yank === null || this.ring.length === 0) {
+            return { value, cursor };
+        }
+
+        const { start, end, index } = this.yank;
+        const without = value.slice(0, start) + value.slice(end);
+
+        return this._yank(without, start, (index + 1) % this.ring.length);
+    }
+
+    /**
+     * Start of the word before the cursor (alphanumeric words)
+     * @private
+     */
+    _wordStart(value, cursor) {
+        let position = cursor;
+        while (position > 0 && !WORD.test(value[position - 1])) position--;
+        while (position > 0 && WORD.test(value[position - 1])) position--;
+        return position;
+    }
+
+    /**
+     * End of the word after the cursor (alphanumeric words)
+     * @private
+     */
+    _wordEnd(value, cursor) {
+        let position = cursor;
+        while (position < value.length && !WORD.test(value[position])) position++;
+        while (position < value.length && WORD.test(value[position])) position++;
+        return position;
+    }
+
+    /**
+     * Start of the whitespace-separated word before the cursor
+     * @private
+     */
+    _spaceWordStart(value, cursor) {
+        let position = cursor;
+        while (position > 0 && /\s/.test(value[position - 1])) position--;
+        while (position > 0 && !/\s/.test(value[position - 1])) position--;
+        return position;
+    }
+}
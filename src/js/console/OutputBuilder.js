@@ -0,0 +1,144 @@
+/**
+ * OutputBuilder - Compose command output with styled and clickable spans
+ *
+ * Output stays plain text, so it can still be piped into filters and
+ * printed anywhere; the spans describe how the console renders parts of
+ * it. A span is { line, start, end, style?, action? }:
+ * - style: 'match', 'emphasis', 'muted', 'warning' or 'error'
+ * - action: { type: 'command', command } runs a console command when
+ *   clicked, { type: 'url', url } opens a link
+ *
+ * The console only ever renders spans as text nodes, and links only for
+ * http(s) and mailto URLs, so output cannot inject markup.
+ */
+
+export class OutputBuilder {
+    constructor() {
+        this.lines = [''];
+        this.spans = [];
+    }
+
+    /**
+     * Append text, optionally styled or clickable
+     * @param {string} text - Text to append; may contain newlines
+     * @param {Object} options
+     * @param {string} [options.style] - Span style
+     * @param {Object} [options.action] - Click action
+     * @returns {OutputBuilder}
+     */
+    text(text, { style = null, action = null } = {}) {
+        String(text).split('\n').forEach((part, index) => {
+            if (index > 0) {
+                this.lines.push('');
+            }
+
+            const line = this.lines.length - 1;
+            const start = this.lines[line].length;
+            this.lines[line] += part;
+
+            if ((style || action) && part.length > 0) {
+                this.spans.push({ line, start, end: start + part.length, style, action });
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Start a new line
+     * @returns {OutputBuilder}
+     */
+    newline() {
+        this.lines.push('');
+        return this;
+    }
+
+    /**
+     * Append text that runs a command when clicked
+     * @param {string} label - Text to show
+     * @param {string} command - Command line to run
+     * @returns {OutputBuilder}
+     */
+    command(label, command) {
+        return this.text(label, { action: { type: 'command', command } });
+    }
+
+    /**
+     * Append an external link
+     * @param {string} label - Text to show
+     * @param {string} url - Link target
+     * @returns {OutputBuilder}
+     */
+    link(label, url) {
+        return this.text(label, { action: { type: 'url', url } });
+    }
+
+    /**
+     * Append text with some character ranges styled (search matches)
+     * @param {string} text - Single line of text
+     * @param {Array} ranges - [start, end] pairs within text
+     * @param {string} style - Style of the ranges
+     * @returns {OutputBuilder}
+     */
+    highlighted(text, ranges, style = 'match') {
+        let position = 0;
+
+        [...ranges]
+            .sort((a, b) => a[0] - b[0])
+            .filter(([start, end]) => end > start)
+            .forEach(([start, end]) => {
+                if (start < position) return;
+
+                this.text(text.slice(position, start));
+                this.text(text.slice(start, end), { style });
+                position = end;
+            });
+
+        return this.text(text.slice(position));
+    }
+
+    /**
+     * Append rows as aligned columns. Cells are strings or
+     * { text, style?, action? }; only the cell text is styled, not the
+     * padding. Rows end with a newline except the last.
+     * @param {Array<Array>} rows - Table rows
+     * @param {Object} options
+     * @param {Array<string>} [options.align] - 'left' or 'right' per column
+     * @param {string} [options.separator] - Text between columns
+     * @returns {OutputBuilder}
+     */
+    table(rows, { align = [], separator = '  ' } = {}) {
+        const cells = rows.map(row => row.map(cell => typeof cell === 'string' ? { text: cell } : cell));
+        const widths = [];
+
+        cells.forEach(row => row.forEach((cell, column) => {
+            widths[column] = Math.max(widths[column] || 0, cell.text.length);
+        }));
+
+        cells.forEach((row, index) => {
+            if (index > 0) {
+                this.newline();
+            }
+
+            row.forEach((cell, column) => {
+                const padding = ' '.repeat(widths[column] - cell.text.length);
+                const last = column === row.length - 1;
+
+                if (column > 0) this.text(separator);
+                if (align[column] === 'right') this.text(padding);
+                this.text(cell.text, cell);
+                if (align[column] !== 'right' && !last) this.text(padding);
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Get the output and its spans
+     * @returns {Object} { output, spans }
+     */
+    build() {
+        return { output: this.lines.join('\n'), spans: this.spans };
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * Pager - less-style viewer for long console output
+ *
+ * Shown over the output area. Keys:
+ * - Space, f, PageDown: next page; b, PageUp: previous page
+ * - j, ↓, Enter: next line; k, ↑: previous line
+ * - g, Home: top; G, End: bottom
+ * - /pattern: search (case-insensitive); n/N: next/previous match
+ * - q, Esc: quit
+ *
+ * Lines are rendered by the console (renderText), so styled and
+ * clickable spans work in the pager too; search matches are added as
+ * 'match' spans.
+ */
+
+export class Pager {
+    /**
+     * @param {Object} options
+     * @param {Function} options.renderText - (element, text, spans)
+     *   appends rendered output to element
+     * @param {Function} [options.onClose] - Called after quitting, with
+     *   the number of lines that were paged
+     */
+    constructor({ renderText, onClose = () => {} }) {
+        this.renderText = renderText;
+        this.onClose = onClose;
+        this.element = null;
+        this.body = null;
+        this.status = null;
+        this.searchInput = null;
+        this.lines = [];
+        this.spans = [];
+        this.title = '';
+        this.top = 0;
+        this.pattern = null;
+        this.message = null;
+        this.isOpen = false;
+    }
+
+    /**
+     * Create the pager's elements
+     * @param {HTMLElement} parent - Element the pager covers
+     */
+    mount(parent) {
+        this.element = document.createElement('div');
+        this.element.className = 'console-pager';
+        this.element.setAttribute('tabindex', '0');
+        this.element.setAttribute('role', 'document');
+        this.element.hidden = true;
+
+        this.body = document.createElement('div');
+        this.body.className = 'console-pager-body';
+
+        this.status = document.createElement('div');
+        this.status.className = 'console-pager-status';
+
+        this.searchInput = document.createElement('input');
+        this.searchInput.type = 'text';
+        this.searchInput.className = 'console-pager-search';
+        this.searchInput.setAttribute('autocomplete', 'off');
+        this.searchInput.setAttribute('spellcheck', 'false');
+        this.searchInput.setAttribute('aria-label', 'Search');
+        this.searchInput.hidden = true;
+
+        this.element.appendChild(this.body);
+        this.element.appendChild(this.status);
+        this.element.appendChild(this.searchInput);
+        parent.appendChild(this.element);
+
+        this.element.addEventListener('keydown', this._handleKeyDown.bind(this));
+        this.searchInput.addEventListener('keydown', this._handleSearchKeyDown.bind(this));
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this._render();
+        });
+    }
+
+    /**
+     * Show text in the pager
+     * @param {string} text - Output text
+     * @param {Array} [spans] - Styled and clickable spans
+     * @param {string} [title] - Shown in the status line
+     */
+    open(text, spans = [], title = '') {
+        this.lines = text.split('\n');
+        this.spans = spans || [];
+        this.title = title;
+        this.top = 0;
+        this.pattern = null;
+        this.message = null;
+        this.isOpen = true;
+
+        this.element.hidden = false;
+        this.element.focus();
+        this._render();
+    }
+
+    /**
+     * Quit the pager
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        this._hideSearch();
+        this.body.textContent = '';
+        this.onClose(this.lines.length);
+    }
+
+    /**
+     * Number of lines that fit on one page of the given element
+     * @param {HTMLElement} element - Element whose height is used
+     * @returns {number}
+     */
+    static getPageSize(element) {
+        const style = getComputedStyle(element);
+        const lineHeight = parseFloat(style.lineHeight) || 21;
+        const height = element.clientHeight - (parseFloat(style.paddingTop) || 0) - (parseFloat(style.paddingBottom) || 0);
+
+        return Math.max(1, Math.floor(height / lineHeight));
+    }
+
+    /**
+     * Handle pager keys
+     * @private
+     */
+    _handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const page = this._getPageSize();
+        const actions = {
+            ' ': () => this._scrollTo(this.top + page),
+            f: () => this._scrollTo(this.top + page),
+            PageDown: () => this._scrollTo(this.top + page),
+            b: () => this._scrollTo(this.top - page),
+            PageUp: () => this._scrollTo(this.top - page),
+            j: () => this._scrollTo(this.top + 1),
+            ArrowDown: () => this._scrollTo(this.top + 1),
+            Enter: () => this._scrollTo(this.top + 1),
+            k: () => this._scrollTo(this.top - 1),
+            ArrowUp: () => this._scrollTo(this.top - 1),
+            g: () => this._scrollTo(0),
+            Home: () => this._scrollTo(0),
+            G: () => this._scrollTo(this.lines.length),
+            End: () => this._scrollTo(this.lines.length),
+            '/': () => this._showSearch(),
+            n: () => this._findMatch(1),
+            N: () => this._findMatch(-1),
+            q: () => this.close(),
+            Escape: () => this.close()
+        };
+
+        const action = actions[e.key];
+        if (action) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.message = null;
+            action();
+        }
+    }
+
+    /**
+     * Handle keys in the search prompt
+     * @private
+     */
+    _handleSearchKeyDown(e) {
+        e.stopPropagation();
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const pattern = this.searchInput.value;
+            this._hideSearch();
+
+            // An empty pattern repeats the previous search, as in less
+            if (pattern) {
+                this.pattern = pattern;
+            }
+            this._findMatch(1, true);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this._hideSearch();
+            this._render();
+        }
+    }
+
+    /**
+     * Open the search prompt in the status line
+     * @private
+     */
+    _showSearch() {
+        this.status.hidden = true;
+        this.searchInput.hidden = false;
+        this.searchInput.value = '';
+        this.searchInput.placeholder = '/';
+        this.searchInput.focus();
+    }
+
+    /**
+     * Close the search prompt
+     * @private
+     */
+    _hideSearch() {
+        this.searchInput.hidden = true;
+        this.status.hidden = false;
+
+        if (this.isOpen) {
+            this.element.focus();
+        }
+    }
+
+    /**
+     * Scroll to the next or previous line containing the pattern
+     * @private
+     * @param {number} direction - 1 forward, -1 backward
+     * @param {boolean} includeTop - Whether the top line itself counts
+     */
+    _findMatch(direction, includeTop = false) {
+        if (!this.pattern) {
+            this.message = 'No previous search pattern';
+            this._render();
+            return;
+        }
+
+        const needle = this.pattern.toLowerCase();
+        let line = includeTop ? this.top : this.top + direction;
+
+        for (; line >= 0 && line < this.lines.length; line += direction) {
+            if (this.lines[line].toLowerCase().includes(needle)) {
+                this._scrollTo(line, { clamp: false });
+                return;
+            }
+        }
+
+        this.message = 'Pattern not found';
+        this._render();
+    }
+
+    /**
+     * Move the top of the page, keeping the last page full
+     * @private
+     */
+    _scrollTo(line, { clamp = true } = {}) {
+        const last = Math.max(0, this.lines.length - (clamp ? this._getPageSize() : 1));
+        this.top = Math.min(Math.max(0, line), last);
+        this._render();
+    }
+
+    /**
+     * Lines per page
+     * @private
+     */
+    _getPageSize() {
+        return Pager.getPageSize(this.body);
+    }
+
+    /**
+     * Render the visible lines and the status line
+     * @private
+     */
+    _render() {
+        const page = this._getPageSize();
+        const end = Math.min(this.lines.length, this.top + page);
+        const visible = this.lines.slice(this.top, end);
+
+        // Spans of the visible lines, renumbered from the top of the page
+        const spans = this.spans
+            .filter(span => span.line >= this.top && span.line < end)
+            .map(span => ({ ...span, line: span.line - this.top }));
+
+        if (this.pattern) {
+            const needle = this.pattern.toLowerCase();
+            visible.forEach((text, line) => {
+                const haystack = text.toLowerCase();
+                let start = haystack.indexOf(needle);
+
+                while (start !== -1) {
+                    spans.push({ line, start, end: start + needle.length, style: 'match' });
+                    start = haystack.indexOf(needle, start + needle.length);
+                }
+            });
+        }
+
+        this.body.textContent = '';
+        this.renderText(this.body, visible.join('\n'), spans);
+
+        const position = end >= this.lines.length
+            ? '(END)'
+            : `lines ${this.top + 1}-${end} of ${this.lines.length} (${Math.round((end / this.lines.length) * 100)}%)`;
+        const title = this.title ? `${this.title}  ` : '';
+
+        this.status.textContent = this.message
+            ? this.message
+            : `${title}${position}  space/b page · j/k line · / search · q quit`;
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * SearchIndex - Ranked full-text search over virtual filesystem content
+ *
+ * Builds an inverted index (term -> document -> positions) from file
+ * contents and ranks results with BM25. Terms are lowercased, stopwords
+ * are dropped and words are reduced to their stem (Porter algorithm), so
+ * "designed", "designs" and "designing" all match "design".
+ *
+ * Queries are lists of terms and phrases. Every document containing at
+ * least one term is ranked; phrases must appear verbatim (as consecutive
+ * stems) for a document to match.
+ */
+
+// BM25 tuning: term frequency saturation and document length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has',
+    'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to',
+    'was', 'were', 'will', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export class SearchIndex {
+    constructor() {
+        this.documents = [];
+        this.postings = new Map();
+        this.totalLength = 0;
+        this.documentCount = 0;
+    }
+
+    /**
+     * Add a document to the index
+     * @param {string} path - Document path (used as its id in results)
+     * @param {string} content - Document text
+     */
+    addDocument(path, content) {
+        const id = this.documents.length;
+        const tokens = this.tokenize(content);
+
+        tokens.forEach((token, position) => {
+            if (!this.postings.has(token.term)) {
+                this.postings.set(token.term, new Map());
+            }
+
+            const documents = this.postings.get(token.term);
+            if (!documents.has(id)) {
+                documents.set(id, []);
+            }
+            documents.get(id).push(position);
+        });
+
+        this.documents.push({ path, length: tokens.length });
+        this.totalLength += tokens.length;
+        this.documentCount++;
+    }
+
+    /**
+     * Remove a document from the index. Its id is not reused, so the
+     * ids of other documents stay valid.
+     * @param {string} path - Document path
+     * @returns {boolean} Whether the document was indexed
+     */
+    removeDocument(path) {
+        const id = this.documents.findIndex(document => document !== null && document.path === path);
+        if (id === -1) {
+            return false;
+        }
+
+        this.postings.forEach((documents, term) => {
+            if (documents.delete(id) && documents.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        this.totalLength -= this.documents[id].length;
+        this.documentCount--;
+        this.documents[id] = null;
+        return true;
+    }
+
+    /**
+     * Split text into indexable terms
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens as { term, word, start, end }
+     */
+    tokenize(text) {
+        const tokens = [];
+
+        for (const match of text.matchAll(WORD_PATTERN)) {
+            const word = match[0].toLowerCase();
+            if (STOPWORDS.has(word)) continue;
+
+            tokens.push({
+                term: stem(word),
+                word,
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a query into terms and phrases.
+     * Quoted sections ("event session") become phrases.
+     * @param {string} query - Raw query
+     * @returns {Object} { terms: [stem], phrases: [[stem]], labels } where
+     *   labels maps each stem and phrase key to the text the user typed
+     */
+    parseQuery(query) {
+        const phrases = [];
+        const terms = [];
+        const labels = new Map();
+
+        const addTerms = (tokens) => {
+            tokens.forEach(token => {
+                terms.push(token.term);
+                if (!labels.has(token.term)) labels.set(token.term, token.word);
+            });
+        };
+
+        const unquoted = query.replace(/"([^"]*)"/g, (_, phrase) => {
+            const tokens = this.tokenize(phrase);
+            if (tokens.length > 1) {
+                const stems = tokens.map(token => token.term);
+                phrases.push(stems);
+                labels.set(stems.join(' '), `"${phrase.trim()}"`);
+            } else {
+                addTerms(tokens);
+            }
+            return ' ';
+        });
+
+        addTerms(this.tokenize(unquoted));
+
+        return { terms: [...new Set(terms)], phrases, labels };
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Terms and "quoted phrases"
+     * @param {Object} options
+     * @param {number} [options.limit] - Maximum number of results
+     * @returns {Array} Results as { path, score, matchCount, matches }
+     *   sorted by descending score; matches maps each query term or
+     *   phrase (as typed) to its number of occurrences in the document
+     */
+    search(query, { limit = 10 } = {}) {
+        const { terms, phrases, labels } = this.parseQuery(query);
+        const phraseTerms = phrases.flat();
+        const allTerms = [...new Set([...terms, ...phraseTerms])];
+
+        if (allTerms.length === 0) {
+            return [];
+        }
+
+        // Candidate documents contain at least one term...
+        let candidates = new Set();
+        allTerms.forEach(term => {
+            const documents = this.postings.get(term);
+            if (documents) {
+                documents.forEach((_, id) => candidates.add(id));
+            }
+        });
+
+        // ...and every phrase
+        const phraseCounts = new Map();
+        phrases.forEach(phrase => {
+            const key = phrase.join(' ');
+            candidates = new Set([...candidates].filter(id => {
+                const count = this._countPhrase(phrase, id);
+                if (count > 0) {
+                    if (!phraseCounts.has(id)) phraseCounts.set(id, {});
+                    phraseCounts.get(id)[labels.get(key)] = count;
+                }
+                return count > 0;
+            }));
+        });
+
+        const averageLength = this.totalLength / Math.max(1, this.documentCount);
+        const results = [...candidates].map(id => {
+            const document = this.documents[id];
+            const matches = { ...phraseCounts.get(id) };
+            let score = 0;
+
+            allTerms.forEach(term => {
+                const positions = this.postings.get(term)?.get(id);
+                if (!positions) return;
+
+                if (terms.includes(term)) {
+                    matches[labels.get(term)] = positions.length;
+                }
+                score += this._bm25(term, positions.length, document.length, averageLength);
+            });
+
+            const matchCount = Object.values(matches).reduce((sum, count) => sum + count, 0);
+            return { path: document.path, score, matchCount, matches };
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+            .slice(0, limit);
+    }
+
+    /**
+     * Serialize the index (postings as [term, [[documentId, positions]]];
+     * removed documents are null)
+     * @returns {Object} JSON-safe snapshot
+     */
+    toJSON() {
+        return {
+            documents: this.documents,
+            postings: [...this.postings].map(([term, documents]) => [term, [...documents]]),
+            totalLength: this.totalLength
+        };
+    }
+
+    /**
+     * Restore an index serialized with toJSON
+     * @param {Object} snapshot - Output of toJSON
+     * @returns {SearchIndex}
+     */
+    static fromJSON(snapshot) {
+        const index = new SearchIndex();
+        index.documents = snapshot.documents;
+        index.postings = new Map(snapshot.postings.map(([term, documents]) => [term, new Map(documents)]));
+        index.totalLength = snapshot.totalLength;
+        index.documentCount = snapshot.documents.filter(document => document !== null).length;
+        return index;
+    }
+
+    /**
+     * BM25 score contribution of one term in one document
+     * @private
+     */
+    _bm25(term, frequency, length, averageLength) {
+        const documentCount = this.documentCount;
+        const documentFrequency = this.postings.get(term).size;
+        const idf = Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalization = K1 * (1 - B + B * (length / averageLength));
+
+        return idf * (frequency * (K1 + 1)) / (frequency + normalization);
+    }
+
+    /**
+     * Count occurrences of a phrase (consecutive stems) in a document
+     * @private
+     */
+    _countPhrase(phrase, id) {
+        const positionLists = phrase.map(term => this.postings.get(term)?.get(id));
+        if (positionLists.some(positions => !positions)) {
+            return 0;
+        }
+
+        const rest = positionLists.slice(1).map(positions => new Set(positions));
+        return positionLists[0].filter(start => {
+            return rest.every((positions, offset) => positions.has(start + offset + 1));
+        }).length;
+    }
+}
+
+/**
+ * Reduce an English word to its stem (Porter, 1980)
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    const consonant = '[^aeiou]';
+    const vowel = '[aeiouy]';
+    const consonants = `${consonant}[^aeiouy]*`;
+    const vowels = `${vowel}[aeiou]*`;
+
+    // Measure of a stem: number of vowel-consonant sequences
+    const measureAbove0 = new RegExp(`^(${consonants})?${vowels}${consonants}`);
+    const measureIs1 = new RegExp(`^(${consonants})?${vowels}${consonants}(${vowels})?$`);
+    const measureAbove1 = new RegExp(`^(${consonants})?${vowels}${consonants}${vowels}${consonants}`);
+    const hasVowel = new RegExp(`^(${consonants})?${vowel}`);
+    const endsCvc = new RegExp(`^${consonants}${vowel}[^aeiouwxy]$`);
+
+    const step2Suffixes = {
+        ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+        bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+        ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+        fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+        logi: 'log'
+    };
+
+    const step3Suffixes = {
+        icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+    };
+
+    let result = word;
+    let match;
+
+    // Leading y is treated as a consonant
+    const initialY = result[0] === 'y';
+    if (initialY) {
+        result = 'Y' + result.slice(1);
+    }
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(result))) {
+        result = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(result))) {
+        result = match[1] + match[2];
+    }
+
+    // Step 1b: -eed, -ed, -ing
+    if ((match = /^(.+?)eed$/.exec(result))) {
+        if (measureAbove0.test(match[1])) {
+            result = result.slice(0, -1);
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(result))) {
+        const base = match[1];
+        if (hasVowel.test(base)) {
+            result = base;
+            if (/(at|bl|iz)$/.test(result)) {
+                result += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(result)) {
+                result = result.slice(0, -1);
+            } else if (endsCvc.test(result)) {
+                result += 'e';
+            }
+        }
+    }
+
+    // Step 1c: terminal y -> i
+    if ((match = /^(.+?)y$/.exec(result)) && hasVowel.test(match[1])) {
+        result = match[1] + 'i';
+    }
+
+    // Step 2: double suffixes
+    match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(result);
+    if (match && measureAbove0.test(match[1])) {
+        result = match[1] + step2Suffixes[match[2]];
+    }
+
+    // Step 3: -ic-, -full, -ness etc.
+    match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(result);
+    if (match && measureAbove0.test(match[1])) {
+        result = match[1] + step3Suffixes[match[2]];
+    }
+
+    // Step 4: remove remaining suffixes on long stems
+    match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(result);
+    if (match) {
+        if (measureAbove1.test(match[1])) {
+            result = match[1];
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(result))) {
+        if (measureAbove1.test(match[1] + match[2])) {
+            result = match[1] + match[2];
+        }
+    }
+
+    // Step 5: tidy up final -e and -ll
+    if ((match = /^(.+?)e$/.exec(result))) {
+        const base = match[1];
+        if (measureAbove1.test(base) || (measureIs1.test(base) && !endsCvc.test(base))) {
+            result = base;
+        }
+    }
+    if (/ll$/.test(result) && measureAbove1.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    return initialY ? 'y' + result.slice(1) : result;
+}
@@ -0,0 +1,182 @@
+/**
+ * SessionRecorder - Record a console session and export it
+ *
+ * Every command run in the console is recorded with the time it ran
+ * (milliseconds since the first command), the prompt, and its output.
+ * A session can be exported as a plain-text or Markdown transcript, or
+ * as a JSON "cast" that the console can replay with the original timing:
+ *
+ * {
+ *   type: 'console-cast',
+ *   version: 1,
+ *   started: ISO date,
+ *   entries: [{ time, prompt, input, output, error, spans?, clear? }]
+ * }
+ */
+
+export const CAST_TYPE = 'console-cast';
+export const CAST_VERSION = 1;
+
+export class SessionRecorder {
+    constructor() {
+        this.started = null;
+        this.entries = [];
+    }
+
+    /**
+     * Record a command and its output
+     * @param {Object} entry
+     * @param {string} entry.prompt - Prompt shown before the command
+     * @param {string} entry.input - Command line
+     * @param {string} entry.output - Output text
+     * @param {boolean} [entry.error] - Whether the command failed
+     * @param {Array} [entry.spans] - Styled and clickable spans
+     * @param {boolean} [entry.clear] - Whether the command cleared the
+     *   screen before its output
+     */
+    record({ prompt, input, output, error = false, spans = null, clear = false }) {
+        const now = Date.now();
+
+        if (this.started === null) {
+            this.started = now;
+        }
+
+        const entry = { time: now - this.started, prompt, input, output, error };
+        if (spans && spans.length > 0) {
+            entry.spans = spans;
+        }
+        if (clear) {
+            entry.clear = true;
+        }
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Forget the recorded session
+     */
+    clear() {
+        this.started = null;
+        this.entries = [];
+    }
+
+    /**
+     * Export as a plain-text transcript
+     * @returns {string}
+     */
+    toText() {
+        return this.entries
+            .map(entry => [`${entry.prompt}${entry.input}`, entry.output].filter(Boolean).join('\n'))
+            .join('\n\n') + '\n';
+    }
+
+    /**
+     * Export as Markdown, one code block per command
+     * @returns {string}
+     */
+    toMarkdown() {
+        const header = `# Console session\n\nRecorded ${this._formatDate()} · ${this.entries.length} command(s)\n`;
+
+        const blocks = this.entries.map(entry => {
+            const text = [`${entry.prompt}${entry.input}`, entry.output].filter(Boolean).join('\n');
+
+            // The fence must be longer than any run of backticks inside
+            const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(longest + 1);
+
+            return `${fence}console\n${text}\n${fence}`;
+        });
+
+        return [header, ...blocks].join('\n') + '\n';
+    }
+
+    /**
+     * Export as a replayable cast
+     * @returns {string} JSON
+     */
+    toCast() {
+        const cast = {
+            type: CAST_TYPE,
+            version: CAST_VERSION,
+            started: new Date(this.started ?? Date.now()).toISOString(),
+            entries: this.entries
+        };
+
+        return JSON.stringify(cast, null, 2);
+    }
+
+    /**
+     * Parse and validate a cast
+     * @param {string|Object} source - Cast JSON or parsed object
+     * @returns {Object} The cast
+     */
+    static parseCast(source) {
+        let cast = source;
+
+        if (typeof source === 'string') {
+            try {
+                cast = JSON.parse(source);
+            } catch (error) {
+                throw new Error('not a console cast: invalid JSON');
+            }
+        }
+
+        if (!cast || cast.type !== CAST_TYPE || !Array.isArray(cast.entries)) {
+            throw new Error('not a console cast');
+        }
+
+        if (cast.version !== CAST_VERSION) {
+            throw new Error(`unsupported cast version: ${cast.version}`);
+        }
+
+        const valid = cast.entries.every(entry => {
+            return entry
+                && typeof entry.time === 'number'
+                && typeof entry.input === 'string'
+                && typeof entry.output === 'string'
+                && (entry.prompt === undefined || typeof entry.prompt === 'string')
+                && (entry.spans === undefined || (Array.isArray(entry.spans) && entry.spans.every(isValidSpan)));
+        });
+
+        if (!valid) {
+            throw new Error('not a console cast: malformed entry');
+        }
+
+        return cast;
+    }
+
+    /**
+     * Date the session started, as YYYY-MM-DD HH:MM
+     * @private
+     */
+    _formatDate() {
+        const date = new Date(this.started ?? Date.now());
+        const pad = number => String(number).padStart(2, '0');
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+}
+
+/**
+ * Check a span from a cast: { line, start, end, style?, action? }
+ * (see OutputBuilder)
+ * @private
+ */
+function isValidSpan(span) {
+    return span !== null
+        && typeof span === 'object'
+        && typeof span.line === 'number'
+        && typeof span.start === 'number'
+        && typeof span.end === 'number'
+        && (!span.style || typeof span.style === 'string')
+        && (!span.action || isValidAction(span.action));
+}
+
+/**
+ * @private
+ */
+function isValidAction(action) {
+    return typeof action === 'object'
+        && ((action.type === 'command' && typeof action.command === 'string')
+            || (action.type === 'url' && typeof action.url === 'string'));
+}
@@ -0,0 +1,323 @@
+/**
+ * ShellParser - Tokenize and parse console input into a command AST
+ *
+ * Supported syntax:
+ * - Words separated by whitespace
+ * - 'single quotes' (fully literal)
+ * - "double quotes" (backslash escapes \" and \\)
+ * - Backslash escapes outside quotes (\ , \', \", \$)
+ * - Variable references $NAME, ${NAME} and $? outside single quotes
+ * - Pipelines: cmd | filter
+ * - Chaining: cmd1 ; cmd2, cmd1 && cmd2, cmd1 || cmd2
+ * - Output redirection: cmd > file, cmd >> file
+ *
+ * AST shape:
+ * {
+ *   type: 'list',
+ *   entries: [{ operator: null | ';' | '&&' | '||', pipeline }]
+ * }
+ * pipeline: { type: 'pipeline', commands: [command] }
+ * command: { type: 'command', words: [word], redirects: [redirect], start }
+ * redirect: { operator: '>' | '>>', target: word, start }
+ * word: { type: 'word', value, parts: [{ value, quote, variable? }], start, end }
+ *
+ * Variable references become their own parts with `variable` set to the
+ * name; their `value` (and the word's `value`) is the reference as typed.
+ * Expansion is left to the caller.
+ */
+
+/**
+ * Error raised for malformed input. `column` is 1-based.
+ */
+export class ShellSyntaxError extends Error {
+    constructor(message, column) {
+        super(message);
+        this.name = 'ShellSyntaxError';
+        this.column = column;
+    }
+}
+
+const WHITESPACE = /\s/;
+
+// Characters that end an unquoted word
+const METACHARACTERS = new Set(['|', '&', ';', '>', '<', '`']);
+
+// Operators whose next word is a file name rather than a command
+export const REDIRECTIONS = ['>', '>>'];
+
+// $NAME, ${NAME} or $? (status of the last command)
+const VARIABLE = /^\$(?:([A-Za-z_][A-Za-z0-9_]*)|\{([A-Za-z_][A-Za-z0-9_]*)\}|(\?))/;
+
+export class ShellParser {
+    /**
+     * Split input into word and operator tokens
+     * @param {string} input - Raw command input
+     * @param {Object} options
+     * @param {boolean} options.lenient - Tolerate unterminated quotes and
+     *   trailing escapes (used while the user is still typing)
+     * @returns {Array} Tokens
+     */
+    tokenize(input, { lenient = false } = {}) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (WHITESPACE.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (METACHARACTERS.has(char)) {
+                const operator = this._readOperator(input, i);
+                tokens.push({ type: 'operator', value: operator, start: i, end: i + operator.length });
+                i += operator.length;
+                continue;
+            }
+
+            const word = this._readWord(input, i, lenient);
+            tokens.push(word);
+            i = word.end;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse input into a list of pipelines joined by ; && ||
+     * @param {string} input - Raw command input
+     * @returns {Object} List AST
+     */
+    parse(input) {
+        const tokens = this.tokenize(input);
+        const entries = [];
+        let operator = null;
+        let commands = [];
+        let words = [];
+        let redirects = [];
+
+        const endCommand = (token) => {
+            if (words.length === 0 && redirects.length > 0) {
+                throw new ShellSyntaxError(`missing command before '${redirects[0].operator}'`, redirects[0].start + 1);
+            }
+            if (words.length === 0) {
+                throw new ShellSyntaxError(`unexpected '${token.value}'`, token.start + 1);
+            }
+            commands.push({ type: 'command', words, redirects, start: words[0].start });
+            words = [];
+            redirects = [];
+        };
+
+        const endPipeline = () => {
+            entries.push({ operator, pipeline: { type: 'pipeline', commands } });
+            commands = [];
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'word') {
+                words.push(token);
+            } else if (REDIRECTIONS.includes(token.value)) {
+                const target = tokens[i + 1];
+                if (!target || target.type !== 'word') {
+                    throw new ShellSyntaxError(`expected a file name after '${token.value}'`, token.end + 1);
+                }
+                redirects.push({ operator: token.value, target, start: token.start });
+                i++;
+            } else if (token.value === '|') {
+                endCommand(token);
+            } else {
+                endCommand(token);
+                endPipeline();
+                operator = token.value;
+            }
+        }
+
+        if (words.length > 0 || redirects.length > 0) {
+            endCommand(null);
+            endPipeline();
+        } else if (commands.length > 0 || (operator && operator !== ';')) {
+            // Dangling '|', '&&' or '||'
+            const last = tokens[tokens.length - 1];
+            throw new ShellSyntaxError(`unexpected end of input after '${last.value}'`, input.length + 1);
+        }
+
+        return { type: 'list', entries };
+    }
+
+    /**
+     * Read an operator starting at index
+     * @private
+     */
+    _readOperator(input, start) {
+        const char = input[start];
+        const next = input[start + 1];
+
+        switch (char) {
+            case '|':
+                return next === '|' ? '||' : '|';
+            case ';':
+                return ';';
+            case '&':
+                if (next === '&') return '&&';
+                throw new ShellSyntaxError('background jobs (&) are not supported', start + 1);
+            case '>':
+                return next === '>' ? '>>' : '>';
+            case '<':
+                throw new ShellSyntaxError('input redirection is not supported', start + 1);
+            case '`':
+                throw new ShellSyntaxError('command substitution is not supported', start + 1);
+        }
+
+        throw new ShellSyntaxError(`unexpected '${char}'`, start + 1);
+    }
+
+    /**
+     * Read a single word, concatenating adjacent quoted and unquoted parts
+     * (e.g. pre'fix'"suffix" is one word)
+     * @private
+     */
+    _readWord(input, start, lenient) {
+        const parts = [];
+        let i = start;
+
+        const pushPart = (value, quote, variable = null) => {
+            const last = parts[parts.length - 1];
+            if (variable) {
+                parts.push({ value, quote, variable });
+            } else if (last && last.quote === quote && !last.variable) {
+                last.value += value;
+            } else {
+                parts.push({ value, quote });
+            }
+        };
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (WHITESPACE.test(char) || METACHARACTERS.has(char)) {
+                break;
+            }
+
+            if (char === "'") {
+                const close = input.indexOf("'", i + 1);
+                if (close === -1) {
+                    if (!lenient) throw new ShellSyntaxError('unterminated single quote', i + 1);
+                    pushPart(input.slice(i + 1), 'single');
+                    i = input.length;
+                    break;
+                }
+                pushPart(input.slice(i + 1, close), 'single');
+                i = close + 1;
+                continue;
+            }
+
+            if (char === '"') {
+                i = this._readDoubleQuoted(input, i, lenient, pushPart);
+                continue;
+            }
+
+            if (char === '\\') {
+                if (i + 1 >= input.length) {
+                    if (!lenient) throw new ShellSyntaxError('trailing backslash', i + 1);
+                    i++;
+                    break;
+                }
+                pushPart(input[i + 1], 'escape');
+                i += 2;
+                continue;
+            }
+
+            if (char === '$') {
+                i = this._readVariable(input, i, null, lenient, pushPart);
+                continue;
+            }
+
+            pushPart(char, null);
+            i++;
+        }
+
+        return {
+            type: 'word',
+            value: parts.map(part => part.value).join(''),
+            parts,
+            start,
+            end: i
+        };
+    }
+
+    /**
+     * Read a double-quoted section starting at the opening quote
+     * @private
+     * @returns {number} Index after the closing quote
+     */
+    _readDoubleQuoted(input, start, lenient, pushPart) {
+        let value = '';
+        let i = start + 1;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (char === '"') {
+                pushPart(value, 'double');
+                return i + 1;
+            }
+
+            if (char === '\\' && ['"', '\\', '$'].includes(input[i + 1])) {
+                value += input[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                throw new ShellSyntaxError('command substitution is not supported', i + 1);
+            }
+
+            if (char === '$') {
+                pushPart(value, 'double');
+                value = '';
+                i = this._readVariable(input, i, 'double', lenient, pushPart);
+                continue;
+            }
+
+            value += char;
+            i++;
+        }
+
+        if (!lenient) {
+            throw new ShellSyntaxError('unterminated double quote', start + 1);
+        }
+
+        pushPart(value, 'double');
+        return i;
+    }
+
+    /**
+     * Read a variable reference starting at '$'. A '$' that does not
+     * start a reference is kept literally, as in sh.
+     * @private
+     * @returns {number} Index after the reference
+     */
+    _readVariable(input, start, quote, lenient, pushPart) {
+        const rest = input.slice(start);
+        const match = rest.match(VARIABLE);
+
+        if (match) {
+            pushPart(match[0], quote, match[1] || match[2] || match[3]);
+            return start + match[0].length;
+        }
+
+        if (rest.startsWith('$(')) {
+            throw new ShellSyntaxError('command substitution is not supported', start + 1);
+        }
+
+        if (rest.startsWith('${') && !lenient) {
+            throw new ShellSyntaxError('bad substitution', start + 1);
+        }
+
+        pushPart('$', quote);
+        return start + 1;
+    }
+}
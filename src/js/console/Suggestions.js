@@ -0,0 +1,78 @@
+/**
+ * Suggestions - "Did you mean…?" candidates for mistyped names
+ *
+ * Candidates are ranked by optimal string alignment distance (Levenshtein
+ * plus adjacent transpositions, so 'opne' is one edit from 'open').
+ * Comparison is case-insensitive.
+ */
+
+/**
+ * Edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Minimum number of insertions, deletions,
+ *   substitutions and adjacent transpositions
+ */
+export function editDistance(a, b) {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+
+    // rows[i][j] = distance between a[0..i) and b[0..j)
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return rows[a.length][b.length];
+}
+
+/**
+ * Find the candidates closest to a word
+ * @param {string} word - Mistyped word
+ * @param {Array<string>} candidates - Valid names
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of suggestions
+ * @param {number} [options.maxDistance] - Largest distance still
+ *   suggested; defaults to a third of the word's length (at least 1)
+ * @returns {Array<string>} Closest candidates, best first
+ */
+export function closestMatches(word, candidates, { limit = 3, maxDistance = null } = {}) {
+    const threshold = maxDistance ?? Math.max(1, Math.floor(word.length / 3));
+
+    return [...new Set(candidates)]
+        .filter(candidate => candidate !== word)
+        .map(candidate => ({ candidate, distance: editDistance(word, candidate) }))
+        .filter(({ distance }) => distance <= threshold)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Format suggestions for an error message
+ * @param {Array<string>} suggestions
+ * @returns {string} e.g. "Did you mean 'open' or 'cwd'?"
+ */
+export function formatSuggestions(suggestions) {
+    const quoted = suggestions.map(suggestion => `'${suggestion}'`);
+    const last = quoted.pop();
+    const list = quoted.length > 0 ? `${quoted.join(', ')} or ${last}` : last;
+
+    return `Did you mean ${list}?`;
+}
@@ -0,0 +1,167 @@
+/**
+ * TextEditor - A minimal line editor for files in the scratch space
+ *
+ * In the spirit of ed: every line typed is added to the end of the
+ * buffer, and lines starting with ':' are editor commands. The console
+ * feeds it one line at a time and shows what it returns, so the editor
+ * knows nothing about the DOM or the filesystem.
+ *
+ * Commands:
+ * - .            save and quit
+ * - :w / :q / :wq  save / quit without saving / save and quit
+ * - :p           print the buffer with line numbers
+ * - :d N         delete line N
+ * - :c N text    replace line N
+ * - :i N text    insert a line before line N
+ * - :h           list these commands
+ * A line that starts with '\' is added without it, so '\.' adds '.'.
+ */
+
+const HELP = `Type lines to add them to the end of the file.
+  .            Save and quit
+  :w           Save
+  :q           Quit without saving
+  :wq          Save and quit
+  :p           Print the file with line numbers
+  :d N         Delete line N
+  :c N text    Replace line N with text
+  :i N text    Insert text before line N
+  :h           Show this help
+  \\text        Add text that starts with '.' or ':'
+Ctrl+C also quits without saving.`;
+
+export class TextEditor {
+    /**
+     * @param {string} path - File being edited, for messages
+     * @param {string} content - Current contents ('' for a new file)
+     */
+    constructor(path, content) {
+        this.path = path;
+        this.lines = content.length > 0 ? content.replace(/\n$/, '').split('\n') : [];
+        this.modified = false;
+    }
+
+    /**
+     * Text to show when the editor opens
+     * @returns {string}
+     */
+    start() {
+        const status = this.lines.length > 0 ? `${this.lines.length} line(s)` : 'new file';
+        const listing = this.lines.length > 0 ? `\n${this._print()}` : '';
+
+        return `Editing ${this.path} (${status}). Type lines to add them, '.' to save and quit, ':h' for help.${listing}`;
+    }
+
+    /**
+     * Prompt for the next line, numbered like the line it would add
+     * @returns {string}
+     */
+    getPrompt() {
+        return `${this.lines.length + 1}${this.modified ? '*' : ''}> `;
+    }
+
+    /**
+     * Handle one line of input
+     * @param {string} line - Line as typed
+     * @returns {Object} { output, error?, save?, done? } where save is
+     *   the content to write and done ends the editor
+     */
+    input(line) {
+        if (line === '.') {
+            return this._save(true);
+        }
+
+        if (line.startsWith('\\')) {
+            line = line.slice(1);
+        } else if (line.startsWith(':')) {
+            return this._runCommand(line.slice(1));
+        }
+
+        this.lines.push(line);
+        this.modified = true;
+        return { output: '' };
+    }
+
+    /**
+     * Contents of the buffer, ending with a newline unless empty
+     * @returns {string}
+     */
+    getContent() {
+        return this.lines.length > 0 ? `${this.lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * Mark the buffer as written
+     */
+    markSaved() {
+        this.modified = false;
+    }
+
+    /**
+     * @private
+     */
+    _runCommand(source) {
+        const [, name, number, text = ''] = source.match(/^(\S*)\s*(\d*)\s?(.*)$/);
+        const index = Number(number) - 1;
+
+        switch (name) {
+            case 'w':
+                return this._save(false);
+            case 'wq':
+                return this._save(true);
+            case 'q':
+                return { output: this.modified ? `Discarded changes to ${this.path}` : '', done: true };
+            case 'p':
+                return { output: this.lines.length > 0 ? this._print() : '(empty file)' };
+            case 'h':
+                return { output: HELP };
+            case 'd':
+                this._checkLine(number, index, this.lines.length);
+                this.lines.splice(index, 1);
+                break;
+            case 'c':
+                this._checkLine(number, index, this.lines.length);
+                this.lines[index] = text;
+                break;
+            case 'i':
+                // One past the end appends
+                this._checkLine(number, index, this.lines.length + 1);
+                this.lines.splice(index, 0, text);
+                break;
+            default:
+                throw new Error(`unknown editor command ':${name}' (':h' for help)`);
+        }
+
+        this.modified = true;
+        return { output: '' };
+    }
+
+    /**
+     * @private
+     */
+    _save(done) {
+        return { output: `Saved ${this.path} (${this.lines.length} line(s))`, save: this.getContent(), done };
+    }
+
+    /**
+     * @private
+     */
+    _checkLine(number, index, count) {
+        if (number === '') {
+            throw new Error('line number required');
+        }
+
+        if (index < 0 || index >= count) {
+            throw new Error(`no line ${number} (the file has ${this.lines.length})`);
+        }
+    }
+
+    /**
+     * Numbered listing of the buffer
+     * @private
+     */
+    _print() {
+        const width = String(this.lines.length).length;
+        return this.lines.map((line, index) => `${String(index + 1).padStart(width)}  ${line}`).join('\n');
+    }
+}
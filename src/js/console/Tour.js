@@ -0,0 +1,174 @@
+/**
+ * Tour - Play a scripted walkthrough (see tours.js)
+ *
+ * Steps are broken into timed actions: a narration is one action, a
+ * command is one action per typed character and one to run it. The
+ * console supplies what each action does, so the tour itself knows
+ * nothing about the DOM.
+ *
+ * Controls:
+ * - pause()/resume(), or togglePause()
+ * - step(): finish the current step now (typing included) and continue;
+ *   while paused, plays exactly one step
+ * - stop(): end the tour early
+ */
+
+const TYPING_DELAY = 45;
+const STEP_DELAY = 900;
+const RUN_DELAY = 350;
+
+export class Tour {
+    /**
+     * @param {Object} tour - { title, steps } from tours.js
+     * @param {Object} handlers
+     * @param {Function} handlers.say - (text) prints a narration line
+     * @param {Function} handlers.type - (text) shows text in the prompt
+     * @param {Function} handlers.run - (command) runs a command
+     * @param {Function} [handlers.onEnd] - (finished) called once the tour
+     *   ends; finished is false when it was stopped
+     */
+    constructor(tour, { say, type, run, onEnd = () => {} }) {
+        this.title = tour.title;
+        this.onEnd = onEnd;
+        this.actions = this._buildActions(tour.steps, { say, type, run });
+        this.position = 0;
+        this.timer = null;
+        this.paused = false;
+        this.active = false;
+    }
+
+    /**
+     * Start playing from the first step
+     */
+    start() {
+        this.active = true;
+
+        if (this.actions.length === 0) {
+            this._end(true);
+            return;
+        }
+        this._schedule();
+    }
+
+    /**
+     * Pause before the next action
+     */
+    pause() {
+        if (!this.active) return;
+
+        clearTimeout(this.timer);
+        this.paused = true;
+    }
+
+    /**
+     * Continue after a pause
+     */
+    resume() {
+        if (!this.active || !this.paused) return;
+
+        this.paused = false;
+        this._schedule();
+    }
+
+    /**
+     * Pause or resume
+     * @returns {boolean} Whether the tour is now paused
+     */
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+        return this.paused;
+    }
+
+    /**
+     * Play the rest of the current step without waiting
+     */
+    step() {
+        if (!this.active) return;
+
+        clearTimeout(this.timer);
+        const current = this.actions[this.position].step;
+
+        while (this.active && this.position < this.actions.length && this.actions[this.position].step === current) {
+            this._perform();
+        }
+
+        if (this.active && !this.paused) {
+            this._schedule();
+        }
+    }
+
+    /**
+     * End the tour early
+     */
+    stop() {
+        if (!this.active) return;
+
+        clearTimeout(this.timer);
+        this._end(false);
+    }
+
+    /**
+     * Wait for the next action's delay, then perform it
+     * @private
+     */
+    _schedule() {
+        const action = this.actions[this.position];
+
+        this.timer = setTimeout(() => {
+            this._perform();
+            if (this.active) {
+                this._schedule();
+            }
+        }, action.delay);
+    }
+
+    /**
+     * Perform the next action, ending the tour after the last one
+     * @private
+     */
+    _perform() {
+        this.actions[this.position++].perform();
+
+        if (this.position >= this.actions.length) {
+            this._end(true);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _end(finished) {
+        this.active = false;
+        this.onEnd(finished);
+    }
+
+    /**
+     * Flatten the steps into timed actions
+     * @private
+     */
+    _buildActions(steps, { say, type, run }) {
+        const actions = [];
+
+        steps.forEach((step, index) => {
+            const delay = step.delay ?? STEP_DELAY;
+
+            if (step.say !== undefined) {
+                actions.push({ step: index, delay, perform: () => say(step.say) });
+                return;
+            }
+
+            // The first character appears after the step's delay
+            for (let length = 1; length <= step.run.length; length++) {
+                const text = step.run.slice(0, length);
+                actions.push({ step: index, delay: length === 1 ? delay : TYPING_DELAY, perform: () => type(text) });
+            }
+            actions.push({ step: index, delay: RUN_DELAY, perform: () => run(step.run) });
+        });
+
+        return actions;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * UserAliases - Aliases defined by visitors with the `alias` command
+ *
+ * Stored in localStorage (like the command history) so they survive
+ * reloads and are shared between index.html and project.html.
+ */
+
+const STORAGE_KEY = 'consoleAliases';
+
+export class UserAliases {
+    constructor({ storageKey = STORAGE_KEY } = {}) {
+        this.storageKey = storageKey;
+        this.aliases = this._load() || {};
+    }
+
+    /**
+     * Get an alias's replacement text
+     * @param {string} name - Alias name
+     * @returns {string|null}
+     */
+    get(name) {
+        return Object.prototype.hasOwnProperty.call(this.aliases, name) ? this.aliases[name] : null;
+    }
+
+    /**
+     * Define or redefine an alias
+     * @param {string} name - Alias name
+     * @param {string} value - Replacement text
+     */
+    set(name, value) {
+        // Re-read first so aliases defined on another page are not overwritten
+        this.aliases = this._load() || this.aliases;
+        this.aliases[name] = value;
+        this._save();
+    }
+
+    /**
+     * Remove an alias
+     * @param {string} name - Alias name
+     * @returns {boolean} Whether the alias existed
+     */
+    remove(name) {
+        this.aliases = this._load() || this.aliases;
+
+        if (this.get(name) === null) {
+            return false;
+        }
+
+        delete this.aliases[name];
+        this._save();
+        return true;
+    }
+
+    /**
+     * Remove all aliases
+     */
+    clear() {
+        this.aliases = {};
+        this._save();
+    }
+
+    /**
+     * Get all aliases
+     * @returns {Object} Replacement text by name
+     */
+    getAll() {
+        return { ...this.aliases };
+    }
+
+    /**
+     * Load aliases from localStorage
+     * @private
+     * @returns {Object|null} Aliases, or null if storage is unavailable
+     */
+    _load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+                return {};
+            }
+
+            return Object.fromEntries(Object.entries(stored).filter(([, value]) => typeof value === 'string'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Save aliases to localStorage
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.aliases));
+        } catch (error) {
+            // Storage unavailable (private mode, quota) - keep aliases in memory only
+        }
+    }
+}
@@ -1,168 +1,293 @@
 /**
- * VirtualFileSystem - Read-only virtual filesystem for portfolio content
+ * VirtualFileSystem - Virtual filesystem for portfolio content
  * 
  * Exposes portfolio data through a filesystem abstraction:
- * /base/ - About, contact, resume
+ * /base/ - About, technical stack, education, focus, contact, resume
  * /projects/ - Project directories with overview, architecture, decisions, impact
  * /meta/ - System information
+ *
+ * Top-level directories are mounted providers (see ./providers) that
+ * build their entries on first access. Portfolio content is read-only;
+ * only mounts whose provider is writable (the visitor's scratch space)
+ * can be changed, with writeFile, makeDirectory, remove and move.
+ *
+ * Names starting with '.' are hidden: they are left out of listings,
+ * trees and search unless asked for.
  */
 
+import { SearchIndex } from './SearchIndex.js';
+import { closestMatches, formatSuggestions } from './Suggestions.js';
+import { ProfileProvider } from './providers/ProfileProvider.js';
+import { ProjectsProvider } from './providers/ProjectsProvider.js';
+import { StaticTextProvider } from './providers/StaticTextProvider.js';
+import { FetchProvider } from './providers/FetchProvider.js';
 import { CONSTANTS } from '../config/constants.js';
 
+// Bump when the node or index format changes so stale snapshots are rejected
+const SNAPSHOT_VERSION = 3;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+/**
+ * Error raised for a path that does not resolve. `suggestions` holds
+ * existing paths that are a few edits away, written the way the path
+ * was typed (relative paths stay relative).
+ */
+export class PathNotFoundError extends Error {
+  constructor(path, suggestions = []) {
+    super(suggestions.length > 0
+      ? `path not found: ${path}. ${formatSuggestions(suggestions)}`
+      : `path not found: ${path}`);
+    this.name = 'PathNotFoundError';
+    this.path = path;
+    this.suggestions = suggestions;
+  }
+}
+
 export class VirtualFileSystem {
   constructor() {
     this.root = null;
     this.projectData = null;
+    this.index = null;
+    this.mounts = new Map();
     this.initialized = false;
   }
 
   /**
-   * Initialize the filesystem with project data
+   * Initialize the filesystem with project data.
+   * Loads every mount (fetching remote data) and indexes all content.
    * @param {Array} projectData - Array of project objects from project-data.json
+   * @param {Object} options
+   * @param {Object} [options.profileData] - Parsed profile-data.json; fetched when omitted
    */
-  async initialize(projectData) {
+  async initialize(projectData, { profileData = null } = {}) {
     if (this.initialized) return;
 
     this.projectData = projectData;
-    this.root = this._buildFileTree();
+    this._mountDefaults(projectData, profileData);
+    await Promise.all([...this.mounts.keys()].map(path => this._loadMount(path)));
+
+    this.root = { type: 'directory', name: '', path: '/', children: {} };
+    this.index = new SearchIndex();
+    [...this.mounts.keys()].forEach(path => this._attachMount(path));
+    this._materializeAll(this.root);
+
     this.initialized = true;
   }
 
   /**
-   * Build the complete file tree structure
-   * @private
+   * Serialize the file tree and search index
+   * @returns {Object} JSON-safe snapshot
    */
-  _buildFileTree() {
-    const tree = {
-      type: 'directory',
-      name: '',
-      path: '/',
-      children: {
-        'base': this._buildBaseDirectory(),
-        'projects': this._buildProjectsDirectory(),
-        'meta': this._buildMetaDirectory()
-      }
+  toJSON() {
+    if (!this.initialized) {
+      throw new Error('Filesystem not initialized');
+    }
+
+    this._materializeAll(this.root);
+
+    return {
+      version: SNAPSHOT_VERSION,
+      root: this.root,
+      index: this.index.toJSON()
     };
-    return tree;
   }
 
   /**
-   * Build /base/ directory structure
+   * Initialize from a snapshot produced by toJSON instead of rebuilding
+   * the tree and index from project data
+   * @param {Object} snapshot - Output of toJSON
+   */
+  hydrate(snapshot) {
+    if (this.initialized) return;
+
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error('incompatible filesystem snapshot');
+    }
+
+    this.root = snapshot.root;
+    this.index = SearchIndex.fromJSON(snapshot.index);
+    this.initialized = true;
+
+    // Mounts registered before hydration replace the snapshot's directories
+    [...this.mounts.keys()].forEach(path => this._attachMount(path));
+  }
+
+  /**
+   * Create a filesystem from a snapshot produced by toJSON
+   * @param {Object} snapshot - Output of toJSON
+   * @returns {VirtualFileSystem}
+   */
+  static fromJSON(snapshot) {
+    const vfs = new VirtualFileSystem();
+    vfs.hydrate(snapshot);
+    return vfs;
+  }
+
+  /**
+   * Mount a provider at a path. Intermediate directories are created as
+   * needed and the provider's entries are built the first time the
+   * directory is accessed.
+   * @param {string} path - Absolute mount path (e.g. /base)
+   * @param {Object} provider - Object with build(mountPath) and optional async load()
+   * @returns {Promise} Resolves once the provider has loaded
+   */
+  mount(path, provider) {
+    const mountPath = this._normalizePath(path);
+
+    if (mountPath === '/') {
+      throw new Error('cannot mount over /');
+    }
+
+    this.mounts.set(mountPath, { provider, ready: !provider.load, loading: null });
+
+    if (this.root) {
+      this._attachMount(mountPath);
+    }
+
+    return this._loadMount(mountPath);
+  }
+
+  /**
+   * Mount the portfolio directories that are not already mounted
    * @private
    */
-  _buildBaseDirectory() {
-    return {
-      type: 'directory',
-      name: 'base',
-      path: '/base',
-      children: {
-        'about': {
-          type: 'file',
-          name: 'about',
-          path: '/base/about',
-          content: this._getAboutContent()
-        },
-        'contact': {
-          type: 'file',
-          name: 'contact',
-          path: '/base/contact',
-          content: this._getContactContent()
-        },
-        'resume': {
-          type: 'file',
-          name: 'resume',
-          path: '/base/resume',
-          content: '[Resume Link - Opens in browser]',
-          url: CONSTANTS.RESUME_URL
-        }
-      }
+  _mountDefaults(projectData, profileData) {
+    const defaults = {
+      '/base': profileData
+        ? new ProfileProvider(profileData)
+        : new FetchProvider('/profile-data.json', data => new ProfileProvider(data)),
+      '/projects': new ProjectsProvider(projectData),
+      '/meta': new StaticTextProvider({
+        'system.info': this._getSystemInfo(),
+        'version': 'Portfolio v2.0\nLast Updated: January 2026'
+      })
     };
+
+    for (const [path, provider] of Object.entries(defaults)) {
+      if (!this.mounts.has(path)) {
+        this.mount(path, provider);
+      }
+    }
   }
 
   /**
-   * Build /projects/ directory structure
+   * Run a mount's async load() once
    * @private
    */
-  _buildProjectsDirectory() {
-    const projectsDir = {
-      type: 'directory',
-      name: 'projects',
-      path: '/projects',
-      children: {}
-    };
+  _loadMount(mountPath) {
+    const mount = this.mounts.get(mountPath);
 
-    if (!this.projectData) return projectsDir;
-
-    this.projectData.forEach(project => {
-      const slug = this._generateSlug(project.title);
-      const projectNode = {
-        type: 'directory',
-        name: slug,
-        path: `/projects/${slug}`,
-        projectId: project.id,
-        children: {
-          'overview': {
-            type: 'file',
-            name: 'overview',
-            path: `/projects/${slug}/overview`,
-            content: this._formatProjectOverview(project)
-          },
-          'architecture': {
-            type: 'file',
-            name: 'architecture',
-            path: `/projects/${slug}/architecture`,
-            content: this._formatProjectArchitecture(project)
-          },
-          'decisions.log': {
-            type: 'file',
-            name: 'decisions.log',
-            path: `/projects/${slug}/decisions.log`,
-            content: this._formatProjectDecisions(project)
-          },
-          'impact': {
-            type: 'file',
-            name: 'impact',
-            path: `/projects/${slug}/impact`,
-            content: this._formatProjectImpact(project)
-          }
-        }
-      };
+    if (!mount.loading) {
+      mount.loading = Promise.resolve(mount.provider.load?.()).then(() => {
+        mount.ready = true;
+      });
+    }
+
+    return mount.loading;
+  }
 
-      // Add attachments directory if valid attachments exist
-      if (project.attachments && project.attachments.length > 0) {
-        projectNode.children['attachments'] = this._buildAttachmentsDirectory(project, slug);
+  /**
+   * Create the directory node for a mount point
+   * @private
+   */
+  _attachMount(mountPath) {
+    const parts = mountPath.split('/').filter(p => p.length > 0);
+    let current = this.root;
+
+    parts.forEach((part, i) => {
+      const path = '/' + parts.slice(0, i + 1).join('/');
+      const children = this._getChildren(current);
+
+      if (i === parts.length - 1) {
+        // Mount point - children are built on first access
+        children[part] = { type: 'directory', name: part, path, mounted: true, children: null };
+      } else if (!children[part] || children[part].type !== 'directory') {
+        children[part] = { type: 'directory', name: part, path, children: {} };
       }
 
-      projectsDir.children[slug] = projectNode;
+      current = children[part];
     });
+  }
 
-    return projectsDir;
+  /**
+   * Get a directory's children, building mounted directories on demand
+   * @private
+   */
+  _getChildren(node) {
+    if (node.type !== 'directory') {
+      return {};
+    }
+
+    if (node.children === null) {
+      this._materialize(node);
+    }
+
+    // A mount that is still loading reads as empty
+    return node.children || {};
   }
 
   /**
-   * Build /meta/ directory structure
+   * Build a mounted directory's entries from its provider
    * @private
    */
-  _buildMetaDirectory() {
-    return {
-      type: 'directory',
-      name: 'meta',
-      path: '/meta',
-      children: {
-        'system.info': {
-          type: 'file',
-          name: 'system.info',
-          path: '/meta/system.info',
-          content: this._getSystemInfo()
-        },
-        'version': {
-          type: 'file',
-          name: 'version',
-          path: '/meta/version',
-          content: 'Portfolio v2.0\nLast Updated: January 2026'
-        }
+  _materialize(node) {
+    const mount = this.mounts.get(node.path);
+    if (!mount || !mount.ready) return;
+
+    node.children = this._createEntries(node.path, mount.provider.build(node.path));
+    this._indexTree(node);
+  }
+
+  /**
+   * Build every mounted directory below a node
+   * @private
+   */
+  _materializeAll(node) {
+    Object.values(this._getChildren(node)).forEach(child => {
+      if (child.type === 'directory') {
+        this._materializeAll(child);
       }
-    };
+    });
+  }
+
+  /**
+   * Turn provider entries into file and directory nodes
+   * @private
+   */
+  _createEntries(basePath, entries) {
+    const children = {};
+
+    for (const [name, entry] of Object.entries(entries)) {
+      const path = `${basePath === '/' ? '' : basePath}/${name}`;
+
+      if (typeof entry === 'string') {
+        children[name] = { type: 'file', name, path, content: entry };
+      } else if (entry.type === 'directory') {
+        const { children: childEntries = {}, ...extra } = entry;
+        children[name] = { ...extra, type: 'directory', name, path, children: this._createEntries(path, childEntries) };
+      } else {
+        children[name] = { ...entry, type: 'file', name, path };
+      }
+    }
+
+    return children;
+  }
+
+  /**
+   * Add the files below a node to the search index
+   * @private
+   */
+  _indexTree(node) {
+    if (!this.index || this._isHidden(node)) return;
+
+    if (node.type === 'file' && node.content) {
+      this.index.addDocument(node.path, node.content);
+    }
+
+    if (node.type === 'directory' && node.children) {
+      Object.values(node.children).forEach(child => this._indexTree(child));
+    }
   }
 
   /**
@@ -185,10 +310,10 @@ export class VirtualFileSystem {
 
     let current = this.root;
     for (const part of parts) {
-      if (current.type !== 'directory' || !current.children) {
+      if (current.type !== 'directory') {
         return null;
       }
-      current = current.children[part];
+      current = this._getChildren(current)[part];
       if (!current) {
         return null;
       }
@@ -197,17 +322,85 @@ export class VirtualFileSystem {
     return current;
   }
 
+  /**
+   * Suggest existing paths close to one that does not resolve. Each
+   * missing segment is replaced by its closest siblings.
+   * @param {string} path - Absolute or relative path as typed
+   * @param {string} cwd - Current working directory
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of suggestions
+   * @returns {Array<string>} Corrected paths, best first
+   */
+  suggestPaths(path, cwd = '/', { limit = 3 } = {}) {
+    const start = path.startsWith('/') ? this.root : this.resolvePath(cwd);
+    const results = [];
+
+    if (start) {
+      this._suggestSegments(start, path.split('/'), 0, [], results, limit);
+    }
+
+    return results.filter(suggestion => suggestion !== path);
+  }
+
+  /**
+   * Walk path segments, branching on the closest names for missing ones
+   * @private
+   */
+  _suggestSegments(node, segments, index, corrected, results, limit) {
+    if (results.length >= limit) return;
+
+    if (index === segments.length) {
+      results.push(corrected.join('/'));
+      return;
+    }
+
+    const segment = segments[index];
+    const next = (child, name) => {
+      this._suggestSegments(child, segments, index + 1, [...corrected, name], results, limit);
+    };
+
+    if (segment === '' || segment === '.') {
+      next(node, segment);
+      return;
+    }
+
+    if (segment === '..') {
+      next(this.resolvePath('..', node.path), segment);
+      return;
+    }
+
+    const children = this._getChildren(node);
+
+    if (children[segment]) {
+      next(children[segment], segment);
+      return;
+    }
+
+    closestMatches(segment, Object.keys(children), { limit })
+      .forEach(name => next(children[name], name));
+  }
+
+  /**
+   * Build the error for a missing path, with suggestions
+   * @private
+   */
+  _pathNotFound(path, cwd) {
+    return new PathNotFoundError(path, this.suggestPaths(path, cwd));
+  }
+
   /**
    * List contents of a directory
    * @param {string} path - Directory path
    * @param {string} cwd - Current working directory
+   * @param {Object} options
+   * @param {boolean} options.all - Include hidden entries
    * @returns {Array} Array of directory entries
    */
-  listDirectory(path, cwd = '/') {
+  listDirectory(path, cwd = '/', { all = false } = {}) {
     const node = this.resolvePath(path, cwd);
 
     if (!node) {
-      throw new Error(`path not found: ${path}`);
+      throw this._pathNotFound(path, cwd);
     }
 
     if (node.type !== 'directory') {
@@ -215,7 +408,9 @@ export class VirtualFileSystem {
     }
 
     const entries = [];
-    for (const [name, child] of Object.entries(node.children || {})) {
+    for (const [name, child] of Object.entries(this._getChildren(node))) {
+      if (!all && this._isHidden(child)) continue;
+
       entries.push({
         name: name,
         type: child.type,
@@ -232,6 +427,92 @@ export class VirtualFileSystem {
     });
   }
 
+  /**
+   * Get metadata for a file or directory
+   * @param {string} path - File or directory path
+   * @param {string} cwd - Current working directory
+   * @returns {Object} { name, path, type, kind, size, lines, words,
+   *   entries, updated, url, projectId, hidden }. size/lines/words are
+   *   null for directories, entries is null for files.
+   */
+  stat(path, cwd = '/') {
+    const node = this.resolvePath(path, cwd);
+
+    if (!node) {
+      throw this._pathNotFound(path, cwd);
+    }
+
+    const isFile = node.type === 'file';
+    const content = isFile ? node.content || '' : null;
+
+    return {
+      name: node.name || '/',
+      path: node.path,
+      type: node.type,
+      kind: this._getKind(node),
+      size: isFile ? new TextEncoder().encode(content).length : null,
+      lines: isFile ? (content.length === 0 ? 0 : content.replace(/\n$/, '').split('\n').length) : null,
+      words: isFile ? content.split(/\s+/).filter(word => word.length > 0).length : null,
+      entries: isFile ? null : Object.keys(this._getChildren(node)).length,
+      updated: this._getUpdated(node.path),
+      url: node.url || null,
+      projectId: this.getProjectIdFromPath(node.path),
+      hidden: this._isHidden(node)
+    };
+  }
+
+  /**
+   * Classify a node: directory, project, text, pdf link, image link or link
+   * @private
+   */
+  _getKind(node) {
+    if (node.type === 'directory') {
+      return node.projectId ? 'project' : 'directory';
+    }
+
+    if (!node.url) {
+      return 'text';
+    }
+
+    const url = node.url.toLowerCase().split(/[?#]/)[0];
+
+    if (url.endsWith('.pdf')) {
+      return 'pdf link';
+    }
+
+    if (IMAGE_EXTENSIONS.some(extension => url.endsWith(extension))) {
+      return 'image link';
+    }
+
+    return 'link';
+  }
+
+  /**
+   * Last-updated date of the closest node on the path that declares
+   * one, falling back to the site's release date
+   * @private
+   */
+  _getUpdated(path) {
+    const parts = path.split('/').filter(p => p.length > 0);
+
+    for (let i = parts.length; i > 0; i--) {
+      const node = this.resolvePath('/' + parts.slice(0, i).join('/'));
+      if (node && node.updated) {
+        return node.updated;
+      }
+    }
+
+    return CONSTANTS.LAST_UPDATED;
+  }
+
+  /**
+   * Hidden nodes are dotfiles
+   * @private
+   */
+  _isHidden(node) {
+    return node.name.startsWith('.');
+  }
+
   /**
    * Read file contents
    * @param {string} path - File path
@@ -242,7 +523,7 @@ export class VirtualFileSystem {
     const node = this.resolvePath(path, cwd);
 
     if (!node) {
-      throw new Error(`path not found: ${path}`);
+      throw this._pathNotFound(path, cwd);
     }
 
     if (node.type !== 'file') {
@@ -252,6 +533,325 @@ export class VirtualFileSystem {
     return node.content || '';
   }
 
+  /**
+   * Whether a path is inside a writable mount
+   * @param {string} path - Absolute or relative path
+   * @param {string} cwd - Current working directory
+   * @returns {boolean}
+   */
+  isWritable(path, cwd = '/') {
+    return this._getWritableMount(this._resolveAbsolutePath(path, cwd)) !== null;
+  }
+
+  /**
+   * Create or replace a file in a writable mount
+   * @param {string} path - File path
+   * @param {string} content - File contents
+   * @param {string} cwd - Current working directory
+   * @param {Object} options
+   * @param {boolean} [options.append] - Add to the end of an existing file
+   */
+  writeFile(path, content, cwd = '/', { append = false } = {}) {
+    const { mountPath, parent, name, node } = this._prepareWrite(path, cwd);
+
+    if (node && node.type === 'directory') {
+      throw new Error(`is a directory: ${path}`);
+    }
+
+    if (node) {
+      this._unindexTree(node);
+      node.content = append ? (node.content || '') + content : content;
+      node.updated = this._today();
+      this._indexTree(node);
+    } else {
+      const file = { type: 'file', name, path: this._childPath(parent.path, name), content, updated: this._today() };
+      parent.children[name] = file;
+      this._indexTree(file);
+    }
+
+    this._persist(mountPath);
+  }
+
+  /**
+   * Create an empty file, or update the date of an existing one
+   * @param {string} path - File path
+   * @param {string} cwd - Current working directory
+   */
+  touch(path, cwd = '/') {
+    const { mountPath, node } = this._prepareWrite(path, cwd);
+
+    if (!node) {
+      this.writeFile(path, '', cwd);
+      return;
+    }
+
+    node.updated = this._today();
+    this._persist(mountPath);
+  }
+
+  /**
+   * Create a directory in a writable mount
+   * @param {string} path - Directory path
+   * @param {string} cwd - Current working directory
+   * @param {Object} options
+   * @param {boolean} [options.parents] - Create missing parents, and
+   *   accept a directory that already exists
+   */
+  makeDirectory(path, cwd = '/', { parents = false } = {}) {
+    const absolutePath = this._resolveAbsolutePath(path, cwd);
+    const mountPath = this._requireWritable(absolutePath, path);
+
+    if (parents) {
+      const parts = absolutePath.slice(mountPath.length).split('/').filter(p => p.length > 0);
+      let current = this.resolvePath(mountPath);
+
+      for (const part of parts) {
+        const child = current.children[part];
+
+        if (child && child.type !== 'directory') {
+          throw new Error(`not a directory: ${child.path}`);
+        }
+
+        current = child || this._addDirectory(current, part);
+      }
+    } else {
+      const { parent, name, node } = this._prepareWrite(path, cwd);
+
+      if (node) {
+        throw new Error(`file exists: ${path}`);
+      }
+
+      this._addDirectory(parent, name);
+    }
+
+    this._persist(mountPath);
+  }
+
+  /**
+   * Remove a file or directory from a writable mount
+   * @param {string} path - Path to remove
+   * @param {string} cwd - Current working directory
+   * @param {Object} options
+   * @param {boolean} [options.recursive] - Allow removing directories
+   *   and everything in them
+   */
+  remove(path, cwd = '/', { recursive = false } = {}) {
+    const { mountPath, parent, name, node } = this._prepareWrite(path, cwd);
+
+    if (!node) {
+      throw this._pathNotFound(path, cwd);
+    }
+
+    if (node.type === 'directory' && !recursive) {
+      throw new Error(`is a directory: ${path}`);
+    }
+
+    this._unindexTree(node);
+    delete parent.children[name];
+    this._persist(mountPath);
+  }
+
+  /**
+   * Move or rename a file or directory. Both paths must be in writable
+   * mounts; moving onto a directory moves into it, onto a file replaces it.
+   * @param {string} source - Path to move
+   * @param {string} destination - New path, or directory to move into
+   * @param {string} cwd - Current working directory
+   * @returns {string} Absolute path of the moved node
+   */
+  move(source, destination, cwd = '/') {
+    const from = this._prepareWrite(source, cwd);
+
+    if (!from.node) {
+      throw this._pathNotFound(source, cwd);
+    }
+
+    let to = this._prepareWrite(destination, cwd);
+    if (to.node && to.node.type === 'directory') {
+      to = this._prepareWrite(this._childPath(to.node.path, from.name), '/');
+    }
+
+    const targetPath = this._childPath(to.parent.path, to.name);
+
+    if (targetPath === from.node.path) {
+      return targetPath;
+    }
+
+    if (targetPath.startsWith(`${from.node.path}/`)) {
+      throw new Error(`cannot move ${source} into itself`);
+    }
+
+    if (to.node) {
+      if (to.node.type === 'directory' || from.node.type === 'directory') {
+        throw new Error(`file exists: ${targetPath}`);
+      }
+      this._unindexTree(to.node);
+    }
+
+    this._unindexTree(from.node);
+    delete from.parent.children[from.name];
+
+    this._relocate(from.node, to.parent.path, to.name);
+    to.parent.children[to.name] = from.node;
+    this._indexTree(from.node);
+
+    this._persist(from.mountPath);
+    if (to.mountPath !== from.mountPath) {
+      this._persist(to.mountPath);
+    }
+
+    return targetPath;
+  }
+
+  /**
+   * Check a path can be changed and look up its parent directory
+   * @private
+   * @returns {Object} { mountPath, parent, name, node } where node is
+   *   the existing node at the path, or undefined
+   */
+  _prepareWrite(path, cwd) {
+    const absolutePath = this._resolveAbsolutePath(path, cwd);
+    const mountPath = this._requireWritable(absolutePath, path);
+
+    if (absolutePath === mountPath) {
+      throw new Error(`cannot change mount point: ${absolutePath}`);
+    }
+
+    const separator = absolutePath.lastIndexOf('/');
+    const parentPath = absolutePath.slice(0, separator) || '/';
+    const name = absolutePath.slice(separator + 1);
+    const parent = this.resolvePath(parentPath);
+
+    if (!parent) {
+      throw this._pathNotFound(parentPath, '/');
+    }
+
+    if (parent.type !== 'directory') {
+      throw new Error(`not a directory: ${parentPath}`);
+    }
+
+    return { mountPath, parent, name, node: parent.children[name] };
+  }
+
+  /**
+   * Find the writable mount containing a path, or fail
+   * @private
+   * @returns {string} Mount path
+   */
+  _requireWritable(absolutePath, path) {
+    const mountPath = this._getWritableMount(absolutePath);
+
+    if (mountPath === null) {
+      throw new Error(`read-only file system: ${path}`);
+    }
+
+    if (!this.mounts.get(mountPath).ready) {
+      throw new Error(`${mountPath} is not loaded yet`);
+    }
+
+    // Build the mount's entries before changing them
+    this._getChildren(this.resolvePath(mountPath));
+    return mountPath;
+  }
+
+  /**
+   * Writable mount containing an absolute path
+   * @private
+   * @returns {string|null} Mount path
+   */
+  _getWritableMount(absolutePath) {
+    for (const [mountPath, mount] of this.mounts) {
+      const inside = absolutePath === mountPath || absolutePath.startsWith(`${mountPath}/`);
+      if (inside && mount.provider.writable) {
+        return mountPath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Add an empty directory to a parent
+   * @private
+   */
+  _addDirectory(parent, name) {
+    const directory = { type: 'directory', name, path: this._childPath(parent.path, name), updated: this._today(), children: {} };
+    parent.children[name] = directory;
+    return directory;
+  }
+
+  /**
+   * Rename a node and update the paths below it
+   * @private
+   */
+  _relocate(node, parentPath, name) {
+    node.name = name;
+    node.path = this._childPath(parentPath, name);
+
+    if (node.type === 'directory') {
+      Object.values(node.children).forEach(child => this._relocate(child, node.path, child.name));
+    }
+  }
+
+  /**
+   * Remove the files below a node from the search index
+   * @private
+   */
+  _unindexTree(node) {
+    if (!this.index) return;
+
+    if (node.type === 'file') {
+      this.index.removeDocument(node.path);
+    } else if (node.children) {
+      Object.values(node.children).forEach(child => this._unindexTree(child));
+    }
+  }
+
+  /**
+   * Hand a writable mount's entries to its provider to save
+   * @private
+   */
+  _persist(mountPath) {
+    const { provider } = this.mounts.get(mountPath);
+    const entries = this._toEntries(this.resolvePath(mountPath).children);
+
+    Promise.resolve(provider.save?.(entries)).catch(error => {
+      console.warn(`Could not save ${mountPath}:`, error);
+    });
+  }
+
+  /**
+   * Convert nodes back into provider entries
+   * @private
+   */
+  _toEntries(children) {
+    const entries = {};
+
+    for (const node of Object.values(children)) {
+      entries[node.name] = node.type === 'directory'
+        ? { type: 'directory', updated: node.updated, children: this._toEntries(node.children) }
+        : { content: node.content, updated: node.updated };
+    }
+
+    return entries;
+  }
+
+  /**
+   * Path of a child of a directory
+   * @private
+   */
+  _childPath(parentPath, name) {
+    return `${parentPath === '/' ? '' : parentPath}/${name}`;
+  }
+
+  /**
+   * Today's date, as stored in `updated`
+   * @private
+   */
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
   /**
    * Generate tree view of directory structure
    * @param {string} path - Root path for tree
@@ -263,7 +863,7 @@ export class VirtualFileSystem {
     const node = this.resolvePath(path, cwd);
 
     if (!node) {
-      throw new Error(`path not found: ${path}`);
+      throw this._pathNotFound(path, cwd);
     }
 
     const lines = [];
@@ -288,8 +888,9 @@ export class VirtualFileSystem {
       lines.push(displayName + suffix);
     }
 
-    if (node.type === 'directory' && node.children && currentDepth < maxDepth) {
-      const childEntries = Object.entries(node.children);
+    if (node.type === 'directory' && currentDepth < maxDepth) {
+      const childEntries = Object.entries(this._getChildren(node))
+        .filter(([, child]) => !this._isHidden(child));
       childEntries.forEach(([name, child], index) => {
         const isLastChild = index === childEntries.length - 1;
         const newPrefix = currentDepth === 0 ? '' : prefix + (isLast ? '    ' : '│   ');
@@ -299,265 +900,389 @@ export class VirtualFileSystem {
   }
 
   /**
-   * Search for keyword across all content
-   * @param {string} keyword - Search term
-   * @returns {Array} Array of search results
+   * Find nodes below a path, like Unix find
+   * @param {string} path - Starting path
+   * @param {Object} options
+   * @param {string} [options.name] - Glob the node name must match (*, ?, [abc])
+   * @param {boolean} [options.ignoreCase] - Match name case-insensitively
+   * @param {string} [options.type] - 'file' or 'directory'
+   * @param {number} [options.maxDepth] - Maximum depth below the starting path
+   * @param {string} cwd - Current working directory
+   * @returns {Array} Matching nodes as { name, type, path, depth }
    */
-  search(keyword) {
-    if (!keyword || keyword.trim().length === 0) {
-      throw new Error('search keyword required');
+  find(path = '.', { name = null, ignoreCase = false, type = null, maxDepth = Infinity } = {}, cwd = '/') {
+    const node = this.resolvePath(path, cwd);
+
+    if (!node) {
+      throw this._pathNotFound(path, cwd);
     }
 
+    const pattern = name ? this._globToRegExp(name, ignoreCase) : null;
     const results = [];
-    const searchTerm = keyword.toLowerCase();
 
-    this._searchNode(this.root, searchTerm, results);
+    this._findNodes(node, 0, { pattern, type, maxDepth }, results);
 
     return results;
   }
 
   /**
-   * Search node recursively
+   * Walk the tree depth-first collecting nodes that match
    * @private
    */
-  _searchNode(node, searchTerm, results) {
-    if (node.type === 'file' && node.content) {
-      const content = node.content.toLowerCase();
-      if (content.includes(searchTerm)) {
-        // Find context around the match
-        const index = content.indexOf(searchTerm);
-        const start = Math.max(0, index - 50);
-        const end = Math.min(content.length, index + searchTerm.length + 50);
-        const snippet = node.content.substring(start, end);
-
-        results.push({
-          path: node.path,
-          type: 'file',
-          snippet: (start > 0 ? '...' : '') + snippet + (end < content.length ? '...' : '')
-        });
-      }
+  _findNodes(node, depth, filters, results) {
+    const { pattern, type, maxDepth } = filters;
+    const nameMatches = !pattern || pattern.test(node.name || '/');
+    const typeMatches = !type || node.type === type;
+
+    if (nameMatches && typeMatches) {
+      results.push({
+        name: node.name || '/',
+        type: node.type,
+        path: node.path,
+        depth
+      });
     }
 
-    if (node.type === 'directory' && node.children) {
-      for (const child of Object.values(node.children)) {
-        this._searchNode(child, searchTerm, results);
+    if (node.type === 'directory' && depth < maxDepth) {
+      for (const child of Object.values(this._getChildren(node))) {
+        this._findNodes(child, depth + 1, filters, results);
       }
     }
   }
 
   /**
-   * Resolve absolute path from relative path
+   * Convert a shell glob into an anchored regular expression.
+   * Supports *, ?, [abc], [a-z], [!abc] and backslash escapes.
    * @private
    */
-  _resolveAbsolutePath(path, cwd) {
-    if (path.startsWith('/')) {
-      return this._normalizePath(path);
-    }
-
-    // Handle relative paths
-    const cwdParts = cwd.split('/').filter(p => p.length > 0);
-    const pathParts = path.split('/').filter(p => p.length > 0);
-
-    for (const part of pathParts) {
-      if (part === '.') {
-        continue;
-      } else if (part === '..') {
-        cwdParts.pop();
+  _globToRegExp(glob, ignoreCase = false) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+
+      if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+        const close = glob.indexOf(']', i + 2);
+        let set = glob.slice(i + 1, close);
+        if (set.startsWith('!')) {
+          set = '^' + set.slice(1);
+        }
+        source += `[${set.replace(/\\/g, '\\\\')}]`;
+        i = close;
+      } else if (char === '\\' && i + 1 < glob.length) {
+        source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       } else {
-        cwdParts.push(part);
+        source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
       }
     }
 
-    return '/' + cwdParts.join('/');
+    return new RegExp(`^${source}$`, ignoreCase ? 'i' : '');
   }
 
   /**
-   * Normalize path by removing redundant slashes
-   * @private
+   * Expand a path glob against the filesystem. Supports *, ?, [abc] and
+   * [!abc] within a segment, and ** for any number of directories.
+   * Hidden entries only match segments that start with '.'.
+   * @param {string} pattern - Absolute or relative glob; backslash
+   *   escapes a special character
+   * @param {string} cwd - Current working directory
+   * @returns {Array<string>} Matching paths, sorted, written the way the
+   *   pattern was (relative patterns give relative paths)
    */
-  _normalizePath(path) {
-    const parts = path.split('/').filter(p => p.length > 0);
-    return '/' + parts.join('/');
+  glob(pattern, cwd = '/') {
+    const start = pattern.startsWith('/') ? this.root : this.resolvePath(cwd);
+    const results = new Set();
+
+    if (start) {
+      this._globSegments(start, pattern.split('/'), 0, [], results);
+    }
+
+    return [...results].sort();
   }
 
   /**
-   * Generate URL-friendly slug from project title
-   * @private
+   * Check whether a glob has unescaped special characters
+   * @param {string} pattern - Glob pattern
+   * @returns {boolean}
    */
-  _generateSlug(title) {
-    return title
-      .toLowerCase()
-      .split('—')[0]
-      .trim()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+  hasGlob(pattern) {
+    return /(^|[^\\])(\\\\)*[*?[]/.test(pattern);
   }
 
   /**
-   * Get about content
+   * Match glob segments below a node
    * @private
    */
-  _getAboutContent() {
-    return `RAHEEMUDHEEN MA
-Full-Stack Engineer
+  _globSegments(node, segments, index, matched, results) {
+    if (index === segments.length) {
+      results.add(matched.join('/'));
+      return;
+    }
+
+    const segment = segments[index];
+    const next = (child, name, nextIndex = index + 1) => {
+      this._globSegments(child, segments, nextIndex, [...matched, name], results);
+    };
+
+    if (segment === '' || segment === '.') {
+      // A trailing slash only matches directories
+      if (segment === '' && index === segments.length - 1 && node.type !== 'directory') return;
+      next(node, segment);
+      return;
+    }
+
+    if (node.type !== 'directory') return;
+
+    if (segment === '..') {
+      next(this.resolvePath('..', node.path), segment);
+      return;
+    }
 
-I build production systems with a focus on architectural clarity, maintainability, and long-term scalability. My work spans full-stack development, frontend architecture, real-time systems, and product ownership across fintech, logistics, and SaaS domains.
+    const children = this._getChildren(node);
 
-I care about systems thinking, product judgment, and delivering work that lasts.`;
+    if (segment === '**') {
+      const isLast = index === segments.length - 1;
+
+      // Zero directories (a trailing ** matches everything below instead)...
+      if (!isLast) {
+        this._globSegments(node, segments, index + 1, matched, results);
+      }
+
+      // ...or one more, staying on **
+      Object.entries(children)
+        .filter(([, child]) => !this._isHidden(child))
+        .forEach(([name, child]) => {
+          if (isLast) next(child, name);
+          if (child.type === 'directory') next(child, name, index);
+        });
+      return;
+    }
+
+    if (!this.hasGlob(segment)) {
+      const name = segment.replace(/\\(.)/g, '$1');
+      if (children[name]) {
+        next(children[name], name);
+      }
+      return;
+    }
+
+    const pattern = this._globToRegExp(segment);
+    const showHidden = segment.startsWith('.');
+
+    Object.entries(children)
+      .filter(([name, child]) => pattern.test(name) && (showHidden || !this._isHidden(child)))
+      .forEach(([name, child]) => next(child, name));
   }
 
   /**
-   * Get contact content
-   * @private
+   * Ranked full-text search (BM25) across all content
+   * @param {string} query - Terms and "quoted phrases"
+   * @param {Object} options
+   * @param {number} [options.limit] - Maximum number of results
+   * @returns {Array} Results as { path, type, score, matchCount, matches,
+   *   snippet, spans } where spans are [start, end] offsets in snippet
    */
-  _getContactContent() {
-    return `Contact Information:
+  search(query, { limit = 10 } = {}) {
+    if (!query || query.trim().length === 0) {
+      throw new Error('search keyword required');
+    }
+
+    const { terms, phrases } = this.index.parseQuery(query);
+    const queryTerms = new Set([...terms, ...phrases.flat()]);
 
-Email: ${CONSTANTS.EMAIL}
-GitHub: ${CONSTANTS.GITHUB_URL}
-LinkedIn: ${CONSTANTS.LINKEDIN_URL}
-Location: Kerala, India`;
+    return this.index.search(query, { limit }).map(result => {
+      const node = this.resolvePath(result.path);
+      return {
+        ...result,
+        type: 'file',
+        ...this._buildSnippet(node.content, queryTerms)
+      };
+    });
   }
 
   /**
-   * Get system information
+   * Build a snippet around the first line mentioning a query term
    * @private
    */
-  _getSystemInfo() {
-    return `Portfolio System Information
+  _buildSnippet(content, queryTerms) {
+    const radius = 60;
 
-Technology Stack:
-- Vanilla JavaScript (ES6+)
-- Vite (Build Tool)
-- GSAP (Animations)
-- LoconativeScroll (Smooth Scrolling)
-- SCSS (Styling)
+    for (const line of content.split('\n')) {
+      const hits = this.index.tokenize(line).filter(token => queryTerms.has(token.term));
+      if (hits.length === 0) continue;
 
-Architecture:
-- Two-page application (index.html, project.html)
-- URL-based routing with query parameters
-- Centralized data model (project-data.json)
-- Direct DOM manipulation
-- Theme preference in localStorage
+      const start = Math.max(0, hits[0].start - radius);
+      const end = Math.min(line.length, hits[0].end + radius);
+      const prefix = start > 0 ? '...' : '';
+      const snippet = prefix + line.slice(start, end) + (end < line.length ? '...' : '');
 
-Console Mode:
-- Read-only virtual filesystem
-- Lazy-loaded module
-- Zero impact on initial page load`;
+      const spans = hits
+        .filter(token => token.start >= start && token.end <= end)
+        .map(token => [token.start - start + prefix.length, token.end - start + prefix.length]);
+
+      return { snippet, spans };
+    }
+
+    return { snippet: '', spans: [] };
   }
 
   /**
-   * Format project overview
-   * @private
+   * Search file contents line by line, like grep -r
+   * @param {string} pattern - Search term or regular expression
+   * @param {Object} options
+   * @param {boolean} [options.regex] - Treat pattern as a regular expression
+   * @param {boolean} [options.ignoreCase] - Case-insensitive matching (default)
+   * @param {number} [options.maxResults] - Maximum number of matching lines
+   * @returns {Object} { files, matchCount, truncated } where files is an
+   *   array of { path, matches: [{ line, text, spans: [[start, end]] }] }
    */
-  _formatProjectOverview(project) {
-    let content = `${project.title}\n`;
-    content += `${'='.repeat(project.title.length)}\n\n`;
-    content += `Role: ${project.role}\n\n`;
-    content += `${project.description}\n\n`;
+  grep(pattern, { regex = false, ignoreCase = true, maxResults = 50 } = {}) {
+    if (!pattern || pattern.trim().length === 0) {
+      throw new Error('search keyword required');
+    }
 
-    if (project.problem_statement) {
-      content += `Problem Statement:\n${project.problem_statement}\n`;
+    let matcher;
+    try {
+      const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      matcher = new RegExp(source, ignoreCase ? 'gi' : 'g');
+    } catch (error) {
+      throw new Error(`invalid regular expression: ${pattern}`);
     }
 
-    return content;
+    const state = { files: [], matchCount: 0, truncated: false, maxResults };
+    this._grepNode(this.root, matcher, state);
+
+    return {
+      files: state.files,
+      matchCount: state.matchCount,
+      truncated: state.truncated
+    };
   }
 
   /**
-   * Format project architecture
+   * Search node recursively, stopping once the result cap is reached
    * @private
    */
-  _formatProjectArchitecture(project) {
-    let content = `Architecture - ${project.title}\n`;
-    content += `${'='.repeat(project.title.length + 15)}\n\n`;
+  _grepNode(node, matcher, state) {
+    if (state.truncated || this._isHidden(node)) return;
 
-    if (project.architecture_image) {
-      content += `Architecture Diagram: /public/${project.architecture_image}\n\n`;
-    }
+    if (node.type === 'file' && node.content) {
+      const matches = [];
 
-    if (project.technical_highlights) {
-      content += `Technical Highlights:\n`;
-      project.technical_highlights.forEach((highlight, i) => {
-        content += `${i + 1}. ${highlight}\n`;
+      node.content.split('\n').forEach((text, index) => {
+        if (state.truncated) return;
+
+        const spans = this._matchSpans(text, matcher);
+        if (spans.length === 0) return;
+
+        if (state.matchCount >= state.maxResults) {
+          state.truncated = true;
+          return;
+        }
+
+        matches.push({ line: index + 1, text, spans });
+        state.matchCount++;
       });
+
+      if (matches.length > 0) {
+        state.files.push({ path: node.path, type: 'file', matches });
+      }
     }
 
-    return content;
+    if (node.type === 'directory') {
+      for (const child of Object.values(this._getChildren(node))) {
+        this._grepNode(child, matcher, state);
+      }
+    }
   }
 
   /**
-   * Format project design decisions
+   * Find all [start, end) spans of a global regex in a line
    * @private
    */
-  _formatProjectDecisions(project) {
-    let content = `Design Decisions - ${project.title}\n`;
-    content += `${'='.repeat(project.title.length + 18)}\n\n`;
-
-    if (project.design_decisions) {
-      project.design_decisions.forEach((decision, i) => {
-        content += `[${i + 1}] ${decision}\n\n`;
-      });
+  _matchSpans(text, matcher) {
+    const spans = [];
+    matcher.lastIndex = 0;
+
+    let match;
+    while ((match = matcher.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        // Zero-length match (e.g. ^ or \b) - nothing to highlight
+        matcher.lastIndex++;
+        spans.push([match.index, match.index]);
+        continue;
+      }
+      spans.push([match.index, match.index + match[0].length]);
     }
 
-    return content;
+    return spans;
   }
 
   /**
-   * Format project impact metrics
+   * Resolve absolute path from relative path
    * @private
    */
-  _formatProjectImpact(project) {
-    let content = `Impact Metrics - ${project.title}\n`;
-    content += `${'='.repeat(project.title.length + 17)}\n\n`;
+  _resolveAbsolutePath(path, cwd) {
+    if (path.startsWith('/')) {
+      return this._normalizePath(path);
+    }
 
-    if (project.impact_metrics) {
-      project.impact_metrics.forEach((metric, i) => {
-        content += `• ${metric}\n`;
-      });
+    // Handle relative paths
+    const cwdParts = cwd.split('/').filter(p => p.length > 0);
+    const pathParts = path.split('/').filter(p => p.length > 0);
+
+    for (const part of pathParts) {
+      if (part === '.') {
+        continue;
+      } else if (part === '..') {
+        cwdParts.pop();
+      } else {
+        cwdParts.push(part);
+      }
     }
 
-    return content;
+    return '/' + cwdParts.join('/');
   }
 
   /**
-   * Build attachments directory for a project
+   * Normalize path by removing redundant slashes
    * @private
    */
-  _buildAttachmentsDirectory(project, slug) {
-    const attachmentsDir = {
-      type: 'directory',
-      name: 'attachments',
-      path: `/projects/${slug}/attachments`,
-      children: {}
-    };
+  _normalizePath(path) {
+    const parts = path.split('/').filter(p => p.length > 0);
+    return '/' + parts.join('/');
+  }
 
-    project.attachments.forEach((att, index) => {
-      // Determine extension/filename
-      const isPdf = att.url.toLowerCase().endsWith('.pdf');
-      const ext = isPdf ? 'pdf' : 'jpg'; // Default to jpg for images if unknown
-
-      // Create a friendly filename from caption
-      let filename = this._generateSlug(att.caption || `attachment-${index + 1}`);
-      filename = `${filename}.${ext}`;
-
-      // Ensure uniqueness
-      let counter = 1;
-      let originalFilename = filename;
-      while (attachmentsDir.children[filename]) {
-        filename = `${originalFilename.replace(`.${ext}`, '')}-${counter}.${ext}`;
-        counter++;
-      }
+  /**
+   * Get system information
+   * @private
+   */
+  _getSystemInfo() {
+    return `Portfolio System Information
 
-      attachmentsDir.children[filename] = {
-        type: 'file',
-        name: filename,
-        path: `/projects/${slug}/attachments/${filename}`,
-        content: `Attachment: ${att.caption}\nType: ${isPdf ? 'PDF Document' : 'Image'}\nURL: ${att.url}\n\nUse 'open' command to view.`,
-        url: att.url
-      };
-    });
+Technology Stack:
+- Vanilla JavaScript (ES6+)
+- Vite (Build Tool)
+- GSAP (Animations)
+- LoconativeScroll (Smooth Scrolling)
+- SCSS (Styling)
 
-    return attachmentsDir;
+Architecture:
+- Two-page application (index.html, project.html)
+- URL-based routing with query parameters
+- Centralized data model (project-data.json)
+- Direct DOM manipulation
+- Theme preference in localStorage
+
+Console Mode:
+- Read-only virtual filesystem for portfolio content
+- Writable scratch space (/home/guest, /tmp) saved in the browser
+- Lazy-loaded module
+- Zero impact on initial page load`;
   }
 
   /**
@@ -591,10 +1316,11 @@ Console Mode:
    * @returns {string|null} Project path or null
    */
   getProjectPathById(id) {
-    if (!this.root || !this.root.children.projects) return null;
+    const projectsDir = this.root ? this._getChildren(this.root).projects : null;
+    if (!projectsDir) return null;
 
     const projectId = parseInt(id, 10);
-    const projects = this.root.children.projects.children;
+    const projects = this._getChildren(projectsDir);
 
     for (const project of Object.values(projects)) {
       if (project.projectId === projectId) {
@@ -0,0 +1,42 @@
+/**
+ * FetchProvider - Mount data fetched from a URL
+ *
+ * The JSON is only requested when the filesystem loads its mounts (i.e.
+ * when the console is first opened), then handed to another provider
+ * that turns it into entries.
+ */
+
+import { JsonDocumentProvider } from './JsonDocumentProvider.js';
+
+export class FetchProvider {
+  /**
+   * @param {string} url - JSON resource to fetch
+   * @param {Function} [createProvider] - Receives the parsed JSON and
+   *   returns the provider that builds the entries
+   */
+  constructor(url, createProvider = data => new JsonDocumentProvider(data)) {
+    this.url = url;
+    this.createProvider = createProvider;
+    this.provider = null;
+  }
+
+  async load() {
+    if (this.provider) return;
+
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`failed to fetch ${this.url}: ${response.status}`);
+    }
+
+    this.provider = this.createProvider(await response.json());
+    await this.provider.load?.();
+  }
+
+  build(mountPath) {
+    if (!this.provider) {
+      throw new Error(`${this.url} not loaded`);
+    }
+
+    return this.provider.build(mountPath);
+  }
+}
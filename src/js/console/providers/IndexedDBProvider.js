@@ -0,0 +1,87 @@
+/**
+ * IndexedDBProvider - Writable mount persisted in the browser
+ *
+ * Backs the visitor's scratch space (/home/guest, /tmp). Each mount's
+ * entries are stored as one IndexedDB record, keyed by the mount path;
+ * the filesystem calls save() with the mount's entries after every
+ * change. Without IndexedDB (e.g. some private browsing modes) the
+ * mount still works, but only until the page is closed.
+ */
+
+const DATABASE = 'consoleScratch';
+const STORE = 'mounts';
+
+export class IndexedDBProvider {
+  /**
+   * @param {string} key - Record key, normally the mount path
+   * @param {Object} options
+   * @param {string} [options.database] - IndexedDB database name
+   */
+  constructor(key, { database = DATABASE } = {}) {
+    this.key = key;
+    this.database = database;
+    this.writable = true;
+    this.entries = {};
+    this.db = null;
+  }
+
+  async load() {
+    try {
+      this.db = await openDatabase(this.database);
+      const store = this.db.transaction(STORE).objectStore(STORE);
+      this.entries = (await requestResult(store.get(this.key))) || {};
+    } catch (error) {
+      console.warn(`Console scratch space ${this.key} will not be saved:`, error);
+      this.db = null;
+    }
+  }
+
+  build() {
+    return this.entries;
+  }
+
+  /**
+   * Store the mount's entries
+   * @param {Object} entries - Entries in the provider format
+   * @returns {Promise} Resolves once written
+   */
+  async save(entries) {
+    this.entries = entries;
+    if (!this.db) return;
+
+    const transaction = this.db.transaction(STORE, 'readwrite');
+    transaction.objectStore(STORE).put(entries, this.key);
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Open (and create on first use) the scratch database
+ * @private
+ */
+function openDatabase(name) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+
+  return requestResult(request);
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @private
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
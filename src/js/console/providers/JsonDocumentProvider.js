@@ -0,0 +1,42 @@
+/**
+ * JsonDocumentProvider - Mount an arbitrary JSON document
+ *
+ * Objects become directories, arrays of scalars become files with one
+ * item per line, and scalars become files. Keys are turned into
+ * filesystem-friendly names (technical_stack -> technical-stack).
+ */
+
+export class JsonDocumentProvider {
+  /**
+   * @param {Object} document - Parsed JSON document
+   */
+  constructor(document) {
+    this.document = document;
+  }
+
+  build() {
+    return this._toEntries(this.document);
+  }
+
+  /**
+   * Convert an object into directory entries
+   * @private
+   */
+  _toEntries(object) {
+    const entries = {};
+
+    for (const [key, value] of Object.entries(object || {})) {
+      const name = String(key).toLowerCase().replace(/[^a-z0-9.]+/g, '-');
+
+      if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+        entries[name] = value.map(item => `• ${item}`).join('\n');
+      } else if (value && typeof value === 'object') {
+        entries[name] = { type: 'directory', children: this._toEntries(value) };
+      } else {
+        entries[name] = String(value ?? '');
+      }
+    }
+
+    return entries;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * ProfileProvider - Mount /base from profile-data.json
+ *
+ * Produces the same sections the home page renders (about, technical
+ * stack, education, professional focus) so the console never drifts
+ * from the site, plus contact details and the resume link.
+ */
+
+import { CONSTANTS } from '../../config/constants.js';
+
+export class ProfileProvider {
+  /**
+   * @param {Object} profile - Parsed profile-data.json
+   */
+  constructor(profile) {
+    this.profile = profile || {};
+  }
+
+  build() {
+    const { about, technical_approach, technical_stack, education, professional_focus } = this.profile;
+    const entries = {};
+
+    if (about) {
+      entries['about'] = this._formatAbout(about, technical_approach);
+    }
+
+    if (technical_stack) {
+      entries['technical-stack'] = this._formatList(technical_stack.title, technical_stack.items);
+    }
+
+    if (education) {
+      entries['education'] = this._formatEducation(education);
+    }
+
+    if (professional_focus) {
+      entries['focus'] = this._formatSection(professional_focus);
+    }
+
+    entries['contact'] = this._formatContact();
+    entries['resume'] = {
+      content: '[Resume Link - Opens in browser]',
+      url: CONSTANTS.RESUME_URL
+    };
+
+    return entries;
+  }
+
+  /**
+   * Format about section, followed by the technical approach
+   * @private
+   */
+  _formatAbout(about, approach) {
+    // The page prefixes the description with its title as a visual label
+    let description = this._toText(about.description);
+    const label = `${about.title} `.toLowerCase();
+    if (about.title && description.toLowerCase().startsWith(label)) {
+      description = description.slice(label.length).trimStart();
+    }
+
+    let content = `${CONSTANTS.NAME}\n${CONSTANTS.ROLE}\n\n${description}\n`;
+
+    if (approach) {
+      content += `\n${this._formatSection(approach)}`;
+    }
+
+    return content;
+  }
+
+  /**
+   * Format a titled paragraph
+   * @private
+   */
+  _formatSection({ title, description }) {
+    const heading = this._toTitle(title);
+    return `${heading}\n${'='.repeat(heading.length)}\n\n${this._toText(description)}\n`;
+  }
+
+  /**
+   * Format a titled bullet list
+   * @private
+   */
+  _formatList(title, items = []) {
+    const heading = this._toTitle(title);
+    const lines = items.map(item => `• ${this._toText(item)}`);
+    return `${heading}\n${'='.repeat(heading.length)}\n\n${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format education with the GitHub link
+   * @private
+   */
+  _formatEducation(education) {
+    let content = this._formatList(education.title, education.items);
+
+    if (education.github) {
+      content += `\n${education.github.label}: ${education.github.url}\n`;
+    }
+
+    return content;
+  }
+
+  /**
+   * Format contact details
+   * @private
+   */
+  _formatContact() {
+    return `Contact Information:
+
+Email: ${CONSTANTS.EMAIL}
+GitHub: ${CONSTANTS.GITHUB_URL}
+LinkedIn: ${CONSTANTS.LINKEDIN_URL}
+Location: ${CONSTANTS.LOCATION}
+
+Type 'contact' to write a message from the console.`;
+  }
+
+  /**
+   * Title-case an all-caps heading (TECHNICAL STACK -> Technical Stack)
+   * @private
+   */
+  _toTitle(title = '') {
+    return title.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+  }
+
+  /**
+   * Convert the HTML snippets used in profile-data.json to plain text
+   * @private
+   */
+  _toText(html = '') {
+    return html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
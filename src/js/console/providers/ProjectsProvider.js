@@ -0,0 +1,167 @@
+/**
+ * ProjectsProvider - Mount /projects from project-data.json
+ *
+ * Each project becomes a directory (named after its title) with
+ * overview, architecture, decisions.log and impact files, plus an
+ * attachments directory when the project has any. The raw project
+ * record is kept as the hidden file .project.json.
+ *
+ * A project may set `updated` (YYYY-MM or YYYY-MM-DD) to date its files.
+ */
+
+export class ProjectsProvider {
+  /**
+   * @param {Array} projectData - Array of project objects from project-data.json
+   */
+  constructor(projectData) {
+    this.projectData = projectData || [];
+  }
+
+  build() {
+    const entries = {};
+
+    this.projectData.forEach(project => {
+      const slug = this._generateSlug(project.title);
+      const children = {
+        'overview': this._formatProjectOverview(project),
+        'architecture': this._formatProjectArchitecture(project),
+        'decisions.log': this._formatProjectDecisions(project),
+        'impact': this._formatProjectImpact(project),
+        '.project.json': JSON.stringify(project, null, 2)
+      };
+
+      // Add attachments directory if valid attachments exist
+      if (project.attachments && project.attachments.length > 0) {
+        children['attachments'] = this._buildAttachmentsDirectory(project);
+      }
+
+      entries[slug] = {
+        type: 'directory',
+        projectId: project.id,
+        updated: project.updated || null,
+        children
+      };
+    });
+
+    return entries;
+  }
+
+  /**
+   * Generate URL-friendly slug from project title
+   * @private
+   */
+  _generateSlug(title) {
+    return title
+      .toLowerCase()
+      .split('—')[0]
+      .trim()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Format project overview
+   * @private
+   */
+  _formatProjectOverview(project) {
+    let content = `${project.title}\n`;
+    content += `${'='.repeat(project.title.length)}\n\n`;
+    content += `Role: ${project.role}\n\n`;
+    content += `${project.description}\n\n`;
+
+    if (project.problem_statement) {
+      content += `Problem Statement:\n${project.problem_statement}\n`;
+    }
+
+    return content;
+  }
+
+  /**
+   * Format project architecture
+   * @private
+   */
+  _formatProjectArchitecture(project) {
+    let content = `Architecture - ${project.title}\n`;
+    content += `${'='.repeat(project.title.length + 15)}\n\n`;
+
+    if (project.architecture_image) {
+      content += `Architecture Diagram: /public/${project.architecture_image}\n\n`;
+    }
+
+    if (project.technical_highlights) {
+      content += `Technical Highlights:\n`;
+      project.technical_highlights.forEach((highlight, i) => {
+        content += `${i + 1}. ${highlight}\n`;
+      });
+    }
+
+    return content;
+  }
+
+  /**
+   * Format project design decisions
+   * @private
+   */
+  _formatProjectDecisions(project) {
+    let content = `Design Decisions - ${project.title}\n`;
+    content += `${'='.repeat(project.title.length + 18)}\n\n`;
+
+    if (project.design_decisions) {
+      project.design_decisions.forEach((decision, i) => {
+        content += `[${i + 1}] ${decision}\n\n`;
+      });
+    }
+
+    return content;
+  }
+
+  /**
+   * Format project impact metrics
+   * @private
+   */
+  _formatProjectImpact(project) {
+    let content = `Impact Metrics - ${project.title}\n`;
+    content += `${'='.repeat(project.title.length + 17)}\n\n`;
+
+    if (project.impact_metrics) {
+      project.impact_metrics.forEach((metric, i) => {
+        content += `• ${metric}\n`;
+      });
+    }
+
+    return content;
+  }
+
+  /**
+   * Build attachments directory for a project
+   * @private
+   */
+  _buildAttachmentsDirectory(project) {
+    const children = {};
+
+    project.attachments.forEach((att, index) => {
+      // Determine extension/filename
+      const isPdf = att.url.toLowerCase().endsWith('.pdf');
+      const ext = isPdf ? 'pdf' : 'jpg'; // Default to jpg for images if unknown
+
+      // Create a friendly filename from caption
+      let filename = this._generateSlug(att.caption || `attachment-${index + 1}`);
+      filename = `${filename}.${ext}`;
+
+      // Ensure uniqueness
+      let counter = 1;
+      let originalFilename = filename;
+      while (children[filename]) {
+        filename = `${originalFilename.replace(`.${ext}`, '')}-${counter}.${ext}`;
+        counter++;
+      }
+
+      children[filename] = {
+        content: `Attachment: ${att.caption}\nType: ${isPdf ? 'PDF Document' : 'Image'}\nURL: ${att.url}\n\nUse 'open' command to view.`,
+        url: att.url
+      };
+    });
+
+    return { type: 'directory', children };
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * StaticTextProvider - Mount a fixed set of text files
+ *
+ * Provider contract (shared by all providers in this folder):
+ * - build(mountPath) returns the mounted directory's entries as
+ *   { name: entry }, where an entry is either a string (file content),
+ *   a file object ({ content, url, ... }) or a directory object
+ *   ({ type: 'directory', children: { ... }, ... }). Extra properties
+ *   are kept on the node. VirtualFileSystem fills in name and path.
+ * - load() is optional and async; it runs before the first build.
+ * - A provider with `writable: true` accepts changes: after each one
+ *   the filesystem calls save(entries) with the mount's entries in the
+ *   same format (see IndexedDBProvider).
+ */
+
+export class StaticTextProvider {
+  /**
+   * @param {Object} files - Map of filename to content (or file object)
+   */
+  constructor(files) {
+    this.files = files;
+  }
+
+  build() {
+    return { ...this.files };
+  }
+}
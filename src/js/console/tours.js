@@ -0,0 +1,30 @@
+/**
+ * Guided tours for the 'tour' command
+ *
+ * Each tour is a list of steps:
+ * - { say: 'text' } prints a narration line
+ * - { run: 'command' } types the command into the prompt and runs it
+ * Either may set `delay` (ms) to wait longer or shorter before the step.
+ *
+ * A tour with `autoStart` plays the first time a visitor opens the
+ * console. Add a tour here and it is available as 'tour <name>'.
+ */
+
+export const TOURS = {
+    intro: {
+        title: 'A quick look around',
+        autoStart: true,
+        steps: [
+            { say: "Welcome! This portfolio is also a filesystem. Here's a short tour." },
+            { say: 'Everything lives in three directories:' },
+            { run: 'tree / 2' },
+            { say: "Each project is a directory. Let's open the featured one." },
+            { run: 'cd /projects/config-driven-frontend-framework' },
+            { say: 'The overview says what was built and why.' },
+            { run: 'read overview' },
+            { say: 'And the impact file has the numbers.', delay: 1500 },
+            { run: 'read impact' },
+            { say: "That's it. Try 'help' for every command, 'search <words>' to look across everything, or 'tour' to watch this again.", delay: 1500 }
+        ]
+    }
+};
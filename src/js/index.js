@@ -4,6 +4,8 @@ import { ScrollTrigger } from "gsap/ScrollTrigger";
 import { copyText } from "./utils/index";
 import { mapEach } from "./utils/dom";
 import { initGA, trackEvent } from "./utils/analytics";
+import { initTheme, getTheme, setTheme } from "./utils/theme";
+import { readConsoleLink } from "./console/ConsoleLink";
 const toContactButtons = document.querySelectorAll(".contact-scroll");
 const footer = document.getElementById("js-footer");
 const scrollEl = document.querySelector("[data-scroll-container]");
@@ -258,22 +260,12 @@ export default class Home {
 
   themeActions() {
     // Initialize theme from localStorage
-    const storedTheme = localStorage.getItem("theme");
-    if (!storedTheme || storedTheme === "dark") {
-      document.documentElement.setAttribute("data-theme", "dark");
-      if (!storedTheme) localStorage.setItem("theme", "dark");
-    }
+    initTheme();
 
     if (themeToggle) {
       themeToggle.onclick = () => {
         const currentTheme = document.documentElement.getAttribute("data-theme");
-        if (currentTheme === "dark") {
-          document.documentElement.removeAttribute("data-theme");
-          localStorage.setItem("theme", "light");
-        } else {
-          document.documentElement.setAttribute("data-theme", "dark");
-          localStorage.setItem("theme", "dark");
-        }
+        setTheme(currentTheme === "dark" ? "light" : "dark");
       };
     }
   }
@@ -414,13 +406,12 @@ export default class Home {
     // Show toast notification on first load
     this.showConsoleToast();
 
-    const toggleConsole = async (isChecked) => {
+    const toggleConsole = async (isChecked, linkedCommand = null) => {
       if (!consoleLoaded) {
         try {
           const { getConsoleInstance } = await import('./console/ConsoleMode.js');
-          const response = await fetch('/project-data.json');
-          const projectData = await response.json();
-          consoleInstance = await getConsoleInstance(projectData);
+          consoleInstance = await getConsoleInstance();
+          consoleInstance.connectHost(this.consoleHost());
           consoleLoaded = true;
         } catch (error) {
           console.error('Failed to load console:', error);
@@ -429,6 +420,9 @@ export default class Home {
       }
 
       if (isChecked) {
+        if (linkedCommand !== null) {
+          consoleInstance.runLink(linkedCommand);
+        }
         consoleInstance.show();
       } else {
         consoleInstance.hide();
@@ -454,6 +448,47 @@ export default class Home {
         await toggleConsole(e.target.checked);
       });
     }
+
+    // A console link (#console=...) opens the console and runs its commands
+    const linkedCommand = readConsoleLink(window.location);
+    if (linkedCommand !== null) {
+      if (toggleSwitch) toggleSwitch.checked = true;
+      await toggleConsole(true, linkedCommand);
+    }
+  }
+
+  // Lets console commands (goto, theme, highlight) drive this page
+  consoleHost() {
+    const targets = {
+      about: document.querySelector(".home__hero"),
+      projects: document.querySelector("[data-projects-section-1]"),
+      contact: footer,
+    };
+
+    return {
+      sections: {
+        about: "Introduction at the top of the page",
+        projects: "Featured projects",
+        contact: "Email, links and resume",
+      },
+      goto: (name) => this.locomotive.scrollTo(targets[name]),
+      getTheme,
+      setTheme,
+      highlightProject: (projectId) => {
+        const link = document.querySelector(`.deep-dive-trigger[href="/project.html?id=${projectId}"]`);
+        const card = link && link.closest(".home__projects__project");
+        if (!card) return false;
+
+        this.locomotive.scrollTo(card);
+
+        // Restart the flash if the card is already highlighted
+        card.classList.remove("is-highlighted");
+        void card.offsetWidth;
+        card.classList.add("is-highlighted");
+        setTimeout(() => card.classList.remove("is-highlighted"), 2400);
+        return true;
+      },
+    };
   }
 
   showConsoleToast() {
@@ -1,6 +1,8 @@
 import LoconativeScroll from "loconative-scroll";
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { readConsoleLink } from "./console/ConsoleLink";
+import { initTheme, getTheme, setTheme } from "./utils/theme";
 
 gsap.registerPlugin(ScrollTrigger);
 
@@ -72,14 +74,8 @@ class ProjectPage {
   }
 
   themeActions() {
-    const themeToggle = document.getElementById("js-theme-toggle");
     // Initialize theme from localStorage
-    // Initialize theme from localStorage
-    const storedTheme = localStorage.getItem("theme");
-    if (!storedTheme || storedTheme === "dark") {
-      document.documentElement.setAttribute("data-theme", "dark");
-      if (!storedTheme) localStorage.setItem("theme", "dark");
-    }
+    initTheme();
 
     // Since we don't have the toggle button in the simple nav yet, 
     // we just ensure the theme is applied. 
@@ -89,17 +85,13 @@ class ProjectPage {
   async initConsole() {
     let consoleLoaded = false;
     let consoleInstance = null;
-    let projectData = null;
 
-    const toggleConsole = async (isChecked) => {
+    const toggleConsole = async (isChecked, linkedCommand = null) => {
       if (!consoleLoaded) {
         try {
           const { getConsoleInstance } = await import('./console/ConsoleMode.js');
-          if (!projectData) {
-            const response = await fetch('/project-data.json');
-            projectData = await response.json();
-          }
-          consoleInstance = await getConsoleInstance(projectData);
+          consoleInstance = await getConsoleInstance();
+          consoleInstance.connectHost(this.consoleHost());
           consoleLoaded = true;
         } catch (error) {
           console.error('Failed to load console:', error);
@@ -116,9 +108,13 @@ class ProjectPage {
           const projectPath = consoleInstance.vfs.getProjectPathById(projectId);
           if (projectPath) {
             consoleInstance.setCwd(projectPath);
+            consoleInstance.setProject(projectPath);
           }
         }
 
+        if (linkedCommand !== null) {
+          consoleInstance.runLink(linkedCommand);
+        }
         consoleInstance.show();
       } else {
         consoleInstance.hide();
@@ -144,6 +140,29 @@ class ProjectPage {
         await toggleConsole(e.target.checked);
       });
     }
+
+    // A console link (#console=...) opens the console and runs its commands
+    const linkedCommand = readConsoleLink(window.location);
+    if (linkedCommand !== null) {
+      if (toggleSwitch) toggleSwitch.checked = true;
+      await toggleConsole(true, linkedCommand);
+    }
+  }
+
+  // Lets console commands (goto, theme) drive this page
+  consoleHost() {
+    return {
+      sections: {
+        top: "Project title and role",
+        contact: "Email, links and resume",
+      },
+      goto: (name) => {
+        const target = name === "top" ? "top" : document.querySelector(".home__footer");
+        this.scroll.scrollTo(target);
+      },
+      getTheme,
+      setTheme,
+    };
   }
 
   renderProject(project, container) {
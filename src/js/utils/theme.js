@@ -0,0 +1,36 @@
+/**
+ * Colour theme preference: "dark", "light" or "system" (follow the
+ * device). It is stored in localStorage and applied as data-theme on
+ * <html>; light is the stylesheet default, so it has no attribute.
+ */
+const STORAGE_KEY = "theme";
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+export const getTheme = () => localStorage.getItem(STORAGE_KEY) || "dark";
+
+export const applyTheme = () => {
+  const theme = getTheme();
+  const dark = theme === "system" ? window.matchMedia(DARK_QUERY).matches : theme === "dark";
+
+  if (dark) {
+    document.documentElement.setAttribute("data-theme", "dark");
+  } else {
+    document.documentElement.removeAttribute("data-theme");
+  }
+};
+
+export const setTheme = (theme) => {
+  localStorage.setItem(STORAGE_KEY, theme);
+  applyTheme();
+};
+
+// Apply the stored theme, defaulting to dark, and follow the device
+// while the preference is "system"
+export const initTheme = () => {
+  if (!localStorage.getItem(STORAGE_KEY)) localStorage.setItem(STORAGE_KEY, "dark");
+  applyTheme();
+
+  window.matchMedia(DARK_QUERY).addEventListener("change", () => {
+    if (getTheme() === "system") applyTheme();
+  });
+};
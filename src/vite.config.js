@@ -1,4 +1,5 @@
 import { resolve } from 'path';
+import vfsSnapshot from '../scripts/vfs-snapshot-plugin.js';
 
 export default {
   root: "src",
@@ -13,4 +14,7 @@ export default {
     },
   },
   envDir: "../",
+  plugins: [
+    vfsSnapshot({ publicDir: resolve(__dirname, 'public') }),
+  ],
 };